@@ -0,0 +1,139 @@
+/**
+ * Design System Analyzer - Background Service Worker
+ * Host permission-nel tölti le azokat az erőforrásokat (pl. CDN stylesheet-ek),
+ * amelyeket a content script a CORS miatt nem tud olvasni,
+ * és raszterizálja a képeket a domináns színeik kinyeréséhez
+ */
+
+importScripts('../utils/quantizer.js');
+
+/**
+ * Képek kicsinyítése a kvantálás előtt (hosszabbik oldal, px)
+ */
+const IMAGE_COLOR_SIZE = 100;
+
+/**
+ * Letöltési időkorlát (ms), hogy egy beragadt CDN kérés ne állítsa meg az elemzést
+ */
+const FETCH_TIMEOUT = 10000;
+
+/**
+ * Letöltési méretkorlát (byte): stylesheet / manifest szöveg és raszterizálandó kép
+ */
+const MAX_TEXT_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Listen for messages from content script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'fetchText') {
+    fetchText(request.url)
+      .then(text => sendResponse({ text }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'extractImageColors') {
+    extractImageColors(request.url, request.colors)
+      .then(colors => sendResponse({ colors }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+});
+
+/**
+ * Fetch a resource as text
+ */
+async function fetchText(url) {
+  if (!/^https?:/.test(url)) {
+    throw new Error('Nem támogatott URL: ' + url);
+  }
+
+  return fetchWithTimeout(url, async response => (await readLimited(response, MAX_TEXT_BYTES)).text());
+}
+
+/**
+ * Fetch with an abort timeout covering both the request and reading the body
+ * @param {Function} read - Reads the response body (e.g. response => response.text())
+ */
+async function fetchWithTimeout(url, read) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { credentials: 'omit', signal: controller.signal });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return await read(response);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Időtúllépés (${FETCH_TIMEOUT / 1000} s)`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Read a response body as a Blob, failing early once it exceeds the byte limit
+ * (Content-Length first, then the streamed size, since the header may be missing)
+ */
+async function readLimited(response, limit) {
+  const tooLarge = () => new Error(`Túl nagy fájl (> ${Math.round(limit / 1024 / 1024)} MB)`);
+
+  const length = parseInt(response.headers.get('content-length'), 10);
+  if (length > limit) {
+    throw tooLarge();
+  }
+
+  if (!response.body) {
+    return response.blob();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    total += value.byteLength;
+    if (total > limit) {
+      reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+}
+
+/**
+ * Rasterize an image and extract its dominant colors
+ * @returns {Array} { hex, count, share (%) }
+ */
+async function extractImageColors(url, colors) {
+  if (!/^(https?|data):/.test(url)) {
+    throw new Error('Nem támogatott URL: ' + url);
+  }
+
+  const blob = await fetchWithTimeout(url, response => readLimited(response, MAX_IMAGE_BYTES));
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, IMAGE_COLOR_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return Quantizer.quantize(context.getImageData(0, 0, width, height).data, { colors });
+}
@@ -7,34 +7,123 @@
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'analyze') {
     // Run analysis asynchronously
-    runAnalysis()
+    runAnalysis(request.options || {})
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ error: error.message }));
 
     // Return true to indicate async response
     return true;
   }
+
+  if (request.action === 'highlight') {
+    sendResponse({ found: highlightElement(request.selector) });
+  }
 });
 
+/**
+ * Scroll to an element and outline it briefly (audit findings in the popup)
+ * @param {string} selector - Unique selector from the analyzers
+ * @returns {boolean} Whether the element was found
+ */
+function highlightElement(selector) {
+  let element = null;
+  try {
+    element = document.querySelector(selector);
+  } catch (e) {
+    // Invalid selector
+  }
+  if (!element) return false;
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position: absolute; pointer-events: none; z-index: 2147483647; ' +
+    'outline: 3px solid #ef4444; background: rgba(239, 68, 68, 0.12); border-radius: 2px; transition: opacity 0.3s;';
+
+  // Document coordinates, so the overlay follows the element while scrolling
+  const rect = element.getBoundingClientRect();
+  overlay.style.top = `${rect.top + window.scrollY - 4}px`;
+  overlay.style.left = `${rect.left + window.scrollX - 4}px`;
+  overlay.style.width = `${rect.width + 8}px`;
+  overlay.style.height = `${rect.height + 8}px`;
+  document.body.appendChild(overlay);
+
+  setTimeout(() => {
+    overlay.style.opacity = '0';
+    setTimeout(() => overlay.remove(), 300);
+  }, 2500);
+
+  return true;
+}
+
 /**
  * Run all analyzers and compile results
+ * @param {Object} options - Analyzer options (e.g. mergeThreshold for colors)
  */
-async function runAnalysis() {
+async function runAnalysis(options = {}) {
   try {
     // Wait for analyzers to be available
     await waitForAnalyzers();
 
+    // Read every stylesheet (cross-origin ones are fetched) into the shared rule pipeline
+    const styleSheets = await window.StyleSheetReader.load();
+
+    // One computed background-image pass, shared by the image and gradient analyzers
+    const backgrounds = window.ImageAnalyzer.getElementBackgrounds();
+    const images = window.ImageAnalyzer.analyze(backgrounds);
+
+    // Image colors and the web manifest are fetched while the other analyzers run
+    const imageWork = Promise.all([
+      window.ImageAnalyzer.extractColors(images),
+      window.ImageAnalyzer.loadManifest(images.brand)
+    ]);
+
     // Run all analyzers
-    const colors = window.ColorAnalyzer.analyze();
+    const gradients = window.GradientAnalyzer.analyze(backgrounds);
+    const colorMaps = window.ColorAnalyzer.collect({ gradients });
     const typography = window.TypographyAnalyzer.analyze();
-    const images = window.ImageAnalyzer.analyze();
+    const fonts = window.FontAnalyzer.analyze(typography.fontFamilies);
+    const spacing = window.SpacingAnalyzer.analyze();
+    const layout = window.LayoutAnalyzer.analyze();
+    const motion = window.MotionAnalyzer.analyze();
+    const states = window.StateAnalyzer.analyze();
+    const components = window.ComponentAnalyzer.analyze();
+    const tokens = window.TokenAnalyzer.analyze();
+
+    // The logo's dominant colors and the brand theme colors feed the palette
+    await imageWork;
+    const colors = window.ColorAnalyzer.complete(colorMaps, {
+      ...options,
+      logoColors: images.logo ? images.logo.colors : null,
+      // Only theme colors whose media condition matches now (no dark theme-color on a light page)
+      brandColors: images.brand.themeColors.filter(color => color.active)
+    });
+    const colorScales = window.ColorAnalyzer.buildTonalScales(colors);
+    const colorFrameworks = window.ColorNames.detectFrameworks(colors);
+    const themes = window.ThemeAnalyzer.analyze(colors);
+    const contrast = window.ContrastAnalyzer.analyze(colors);
+    const vision = window.VisionAnalyzer.analyze(colors);
 
     return {
       url: window.location.href,
       timestamp: new Date().toISOString(),
+      styleSheets: styleSheets,
       colors: colors,
+      colorScales: colorScales,
+      colorFrameworks: colorFrameworks,
+      gradients: gradients,
+      themes: themes,
       typography: typography,
-      images: images
+      fonts: fonts,
+      images: images,
+      spacing: spacing,
+      layout: layout,
+      motion: motion,
+      states: states,
+      components: components,
+      tokens: tokens,
+      contrast: contrast,
+      vision: vision
     };
 
   } catch (error) {
@@ -43,6 +132,29 @@ async function runAnalysis() {
   }
 }
 
+/**
+ * Analyzer modules exposed on window by utils/*.js
+ */
+const ANALYZER_NAMES = [
+  'StyleSheetReader',
+  'ColorModel',
+  'ColorNames',
+  'ColorAnalyzer',
+  'GradientAnalyzer',
+  'ThemeAnalyzer',
+  'TypographyAnalyzer',
+  'FontAnalyzer',
+  'ImageAnalyzer',
+  'TokenAnalyzer',
+  'ContrastAnalyzer',
+  'VisionAnalyzer',
+  'SpacingAnalyzer',
+  'LayoutAnalyzer',
+  'MotionAnalyzer',
+  'StateAnalyzer',
+  'ComponentAnalyzer'
+];
+
 /**
  * Wait for analyzer modules to be loaded
  */
@@ -51,7 +163,7 @@ function waitForAnalyzers(timeout = 5000) {
     const startTime = Date.now();
 
     function check() {
-      if (window.ColorAnalyzer && window.TypographyAnalyzer && window.ImageAnalyzer) {
+      if (ANALYZER_NAMES.every(name => window[name])) {
         resolve();
       } else if (Date.now() - startTime > timeout) {
         reject(new Error('Elemzők betöltése időtúllépés'));
@@ -5,23 +5,89 @@
 
 // DOM Elements
 const analyzeBtn = document.getElementById('analyzeBtn');
+const mergeThresholdInput = document.getElementById('mergeThreshold');
+const mergeThresholdValue = document.getElementById('mergeThresholdValue');
 const loadingState = document.getElementById('loadingState');
 const errorState = document.getElementById('errorState');
 const resultsContainer = document.getElementById('resultsContainer');
 const exportBtn = document.getElementById('exportBtn');
 
 // Section elements
+const sheetsInfo = document.getElementById('sheetsInfo');
+
 const colorsCount = document.getElementById('colorsCount');
 const colorsList = document.getElementById('colorsList');
 const colorsEmpty = document.getElementById('colorsEmpty');
+const colorScales = document.getElementById('colorScales');
+const colorFormats = document.getElementById('colorFormats');
+const colorFrameworks = document.getElementById('colorFrameworks');
+const visualPaletteBtn = document.getElementById('visualPaletteBtn');
+const visualPaletteList = document.getElementById('visualPaletteList');
+
+const gradientsCount = document.getElementById('gradientsCount');
+const gradientsList = document.getElementById('gradientsList');
+const gradientsEmpty = document.getElementById('gradientsEmpty');
+
+const themesCount = document.getElementById('themesCount');
+const themeMechanisms = document.getElementById('themeMechanisms');
+const themeMapping = document.getElementById('themeMapping');
+const themesEmpty = document.getElementById('themesEmpty');
+
+const contrastCount = document.getElementById('contrastCount');
+const contrastMatrix = document.getElementById('contrastMatrix');
+const contrastEmpty = document.getElementById('contrastEmpty');
+
+const visionCount = document.getElementById('visionCount');
+const visionCollisions = document.getElementById('visionCollisions');
+const visionSimulations = document.getElementById('visionSimulations');
+const visionEmpty = document.getElementById('visionEmpty');
+
+const tokensCount = document.getElementById('tokensCount');
+const tokensList = document.getElementById('tokensList');
+const tokensEmpty = document.getElementById('tokensEmpty');
+
+const spacingCount = document.getElementById('spacingCount');
+const spacingScale = document.getElementById('spacingScale');
+const radiiList = document.getElementById('radiiList');
+const elevationList = document.getElementById('elevationList');
+const spacingEmpty = document.getElementById('spacingEmpty');
+
+const layoutCount = document.getElementById('layoutCount');
+const breakpointsList = document.getElementById('breakpointsList');
+const containersList = document.getElementById('containersList');
+const gridsList = document.getElementById('gridsList');
+const layoutEmpty = document.getElementById('layoutEmpty');
+
+const motionCount = document.getElementById('motionCount');
+const durationsList = document.getElementById('durationsList');
+const easingsList = document.getElementById('easingsList');
+const keyframesList = document.getElementById('keyframesList');
+const motionEmpty = document.getElementById('motionEmpty');
+
+const statesCount = document.getElementById('statesCount');
+const statesList = document.getElementById('statesList');
+const statesEmpty = document.getElementById('statesEmpty');
+
+const componentsCount = document.getElementById('componentsCount');
+const componentsList = document.getElementById('componentsList');
+const componentsEmpty = document.getElementById('componentsEmpty');
 
 const fontFamiliesList = document.getElementById('fontFamiliesList');
+const typographyAudit = document.getElementById('typographyAudit');
+const typeScale = document.getElementById('typeScale');
+const textStyles = document.getElementById('textStyles');
+const variableFonts = document.getElementById('variableFonts');
 const headingsList = document.getElementById('headingsList');
 const bodyText = document.getElementById('bodyText');
 const typographyEmpty = document.getElementById('typographyEmpty');
 
+const fontsCount = document.getElementById('fontsCount');
+const fontsList = document.getElementById('fontsList');
+const fontsEmpty = document.getElementById('fontsEmpty');
+
 const imagesCount = document.getElementById('imagesCount');
 const logoContainer = document.getElementById('logoContainer');
+const brandList = document.getElementById('brandList');
 const imagesList = document.getElementById('imagesList');
 const svgsList = document.getElementById('svgsList');
 const backgroundsList = document.getElementById('backgroundsList');
@@ -34,6 +100,13 @@ const wpResult = document.getElementById('wpResult');
 // Store analysis data for export
 let analysisData = null;
 
+// Visual palette: number of dominant colors and the ΔE within which a pixel color counts as present in CSS
+const VISUAL_PALETTE_SIZE = 10;
+const VISUAL_MATCH_THRESHOLD = 5;
+
+// Color merge threshold (ΔE), persisted between popup openings
+const MERGE_THRESHOLD_KEY = 'mergeThreshold';
+
 /**
  * Initialize event listeners
  */
@@ -41,6 +114,18 @@ function init() {
   analyzeBtn.addEventListener('click', handleAnalyze);
   exportBtn.addEventListener('click', handleExport);
   wpCheckBtn.addEventListener('click', handleWordPressCheck);
+  visualPaletteBtn.addEventListener('click', handleVisualPalette);
+
+  // Restore the saved merge threshold and persist changes
+  const savedThreshold = localStorage.getItem(MERGE_THRESHOLD_KEY);
+  if (savedThreshold !== null) {
+    mergeThresholdInput.value = savedThreshold;
+  }
+  updateMergeThresholdLabel();
+  mergeThresholdInput.addEventListener('input', () => {
+    localStorage.setItem(MERGE_THRESHOLD_KEY, mergeThresholdInput.value);
+    updateMergeThresholdLabel();
+  });
 
   // Section toggle handlers
   document.querySelectorAll('.section-header').forEach(header => {
@@ -51,6 +136,13 @@ function init() {
   });
 }
 
+/**
+ * Show the current merge threshold next to the slider
+ */
+function updateMergeThresholdLabel() {
+  mergeThresholdValue.textContent = `ΔE ${mergeThresholdInput.value}`;
+}
+
 /**
  * Handle analyze button click
  */
@@ -75,7 +167,10 @@ async function handleAnalyze() {
     }
 
     // Send message to content script
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'analyze' });
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'analyze',
+      options: { mergeThreshold: parseFloat(mergeThresholdInput.value) }
+    });
 
     if (response.error) {
       throw new Error(response.error);
@@ -216,16 +311,50 @@ function showError(message) {
  * Render all analysis results
  */
 function renderResults(data) {
+  renderStyleSheetStats(data.styleSheets);
   renderColors(data.colors);
+  renderColorFrameworks(data.colorFrameworks);
+  renderVisualPalette(data.visualPalette);
+  renderColorScales(data.colorScales);
+  renderGradients(data.gradients);
+  renderThemes(data.themes);
+  renderContrast(data.contrast);
+  renderVision(data.vision);
+  renderTokens(data.tokens);
+  renderSpacing(data.spacing);
+  renderLayout(data.layout);
+  renderMotion(data.motion);
+  renderStates(data.states);
+  renderComponents(data.components);
   renderTypography(data.typography);
+  renderFonts(data.fonts);
   renderImages(data.images);
 }
 
+/**
+ * Render stylesheet read stats (direct / fetched / failed)
+ */
+function renderStyleSheetStats(stats) {
+  if (!stats) {
+    sheetsInfo.classList.add('hidden');
+    return;
+  }
+
+  sheetsInfo.classList.remove('hidden');
+  sheetsInfo.innerHTML = `
+    <span>CSS: ${stats.direct} közvetlenül olvasva</span>
+    <span>${stats.fetched} letöltve</span>
+    <span class="${stats.failed > 0 ? 'sheets-failed' : ''}">${stats.failed} sikertelen</span>
+  `;
+}
+
 /**
  * Render colors section
  */
 function renderColors(colors) {
   colorsList.innerHTML = '';
+  colorFormats.innerHTML = '';
+  colorFormats.classList.add('hidden');
 
   if (!colors || colors.length === 0) {
     colorsEmpty.classList.remove('hidden');
@@ -239,14 +368,27 @@ function renderColors(colors) {
   colors.forEach(color => {
     const item = document.createElement('div');
     item.className = 'color-item';
+    if (color.variants && color.variants.length > 0) {
+      item.title = `Összevonva: ${color.variants.join(', ')}`;
+    }
     item.innerHTML = `
       <div class="color-swatch" style="background-color: ${color.hex}"></div>
       <span class="color-hex">${color.hex}</span>
+      ${color.match ? `<span class="color-name">${escapeHtml(color.match.name.name)}</span>` : ''}
       <span class="color-category">${getCategoryLabel(color.category)}</span>
+      ${color.logo ? '<span class="color-logo" title="A logó domináns színe">Logó</span>' : ''}
+      ${color.coverage ? `<span class="color-usage">${getCoverageLabel(color.coverage, true)}</span>` : ''}
       <button class="copy-btn" data-copy="${color.hex}" title="Másolás">
         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
       </button>
     `;
+    // Click on the tile (not the copy button) shows the color in every format
+    item.addEventListener('click', event => {
+      if (event.target.closest('.copy-btn')) return;
+      colorsList.querySelectorAll('.color-item.selected').forEach(el => el.classList.remove('selected'));
+      item.classList.add('selected');
+      renderColorFormats(color);
+    });
     colorsList.appendChild(item);
   });
 
@@ -256,6 +398,210 @@ function renderColors(colors) {
   });
 }
 
+/**
+ * Render the selected color as HEX, RGB, HSL and OKLCH with per-format copy
+ */
+function renderColorFormats(color) {
+  const formats = ColorModel.formats(color.hex);
+  if (!formats) return;
+
+  const rows = [
+    { label: 'HEX', value: formats.hex },
+    { label: 'RGB', value: formats.rgb },
+    { label: 'HSL', value: formats.hsl },
+    { label: 'OKLCH', value: formats.oklch }
+  ];
+  if (color.original) {
+    rows.push({ label: 'Eredeti', value: color.original });
+  }
+  if (color.match) {
+    rows.push(
+      { label: 'Név', value: color.match.name.name, deltaE: color.match.name.deltaE },
+      { label: 'CSS név', value: color.match.css.name, deltaE: color.match.css.deltaE },
+      { label: 'Tailwind', value: color.match.tailwind.name, deltaE: color.match.tailwind.deltaE },
+      { label: 'Material', value: color.match.material.name, deltaE: color.match.material.deltaE }
+    );
+  }
+
+  colorFormats.innerHTML = `
+    <div class="color-formats-header">
+      <div class="color-formats-swatch" style="background-color: ${color.hex}"></div>
+      <span class="color-formats-title">${getCategoryLabel(color.category)}</span>
+      ${color.coverage ? `<span class="color-formats-usage">${getCoverageLabel(color.coverage)}</span>` : ''}
+    </div>
+    ${rows.map(row => `
+      <div class="color-format-row">
+        <span class="color-format-label">${row.label}</span>
+        <span class="color-format-value">${escapeHtml(row.value)}</span>
+        ${row.deltaE !== undefined ? `<span class="color-format-delta ${row.deltaE < 1 ? 'exact' : ''}">ΔE ${row.deltaE}</span>` : ''}
+        <button class="copy-btn" data-copy="${escapeHtml(row.value)}" title="Másolás">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+        </button>
+      </div>
+    `).join('')}
+  `;
+  colorFormats.classList.remove('hidden');
+
+  colorFormats.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+}
+
+/**
+ * Share of the page surface (background) and visible text (text color) for a color
+ */
+function getCoverageLabel(coverage, short = false) {
+  const parts = [];
+  if (coverage.area > 0) {
+    parts.push(short ? `${coverage.area}% felület` : `az oldal felületének ${coverage.area}%-a`);
+  }
+  if (coverage.text > 0) {
+    parts.push(short ? `${coverage.text}% szöveg` : `a látható szöveg ${coverage.text}%-a`);
+  }
+  return parts.join(short ? ' · ' : ', ');
+}
+
+/**
+ * Render stock framework palette usage (Tailwind / Material exact matches)
+ */
+function renderColorFrameworks(frameworks) {
+  colorFrameworks.innerHTML = '';
+
+  if (!frameworks || frameworks.length === 0) return;
+
+  colorFrameworks.innerHTML = frameworks.map(framework => `
+    <div class="color-framework" title="${escapeHtml(framework.colors.join(', '))}">
+      <span class="color-framework-label">${framework.label} alappaletta</span>
+      <span class="color-framework-count">${framework.matched}/${framework.total} szín pontos egyezés</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render the screenshot-based palette (dominant pixel colors, marked present/absent in CSS)
+ */
+function renderVisualPalette(palette) {
+  visualPaletteList.innerHTML = '';
+
+  if (!palette) return;
+
+  if (palette.length === 0) {
+    visualPaletteList.innerHTML = '<p class="empty-state">Nincs domináns szín a képernyőképen</p>';
+    return;
+  }
+
+  visualPaletteList.innerHTML = palette.map(color => `
+    <div class="visual-palette-item">
+      <div class="visual-palette-swatch" style="background-color: ${color.hex}"></div>
+      <span class="visual-palette-hex">${color.hex}</span>
+      <div class="visual-palette-bar"><div class="visual-palette-fill" style="width: ${Math.min(100, color.share)}%"></div></div>
+      <span class="visual-palette-share">${color.share}%</span>
+      ${color.css
+        ? `<span class="visual-palette-badge in-css" title="Legközelebbi CSS szín: ${color.css.hex} (ΔE ${color.css.deltaE})">CSS</span>`
+        : '<span class="visual-palette-badge" title="Nincs közeli szín a CSS palettában">Csak képen</span>'}
+      <button class="copy-btn" data-copy="${color.hex}" title="Másolás">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+      </button>
+    </div>
+  `).join('');
+
+  visualPaletteList.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+}
+
+/**
+ * Capture the visible tab and quantize its pixels into a visual palette
+ */
+async function handleVisualPalette() {
+  if (!analysisData) return;
+
+  visualPaletteBtn.disabled = true;
+  visualPaletteBtn.textContent = 'Képernyőkép készítése...';
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const pixels = await getImagePixels(dataUrl, 320);
+
+    analysisData.visualPalette = Quantizer.quantize(pixels, { colors: VISUAL_PALETTE_SIZE })
+      .map(color => ({ ...color, css: findCssColor(color.hex) }));
+    renderVisualPalette(analysisData.visualPalette);
+  } catch (error) {
+    console.error('Visual palette failed:', error);
+    visualPaletteList.innerHTML = '<p class="empty-state">A képernyőkép nem készíthető el</p>';
+  } finally {
+    visualPaletteBtn.disabled = false;
+    visualPaletteBtn.textContent = 'Vizuális paletta (képernyőkép)';
+  }
+}
+
+/**
+ * Downscaled RGBA pixel data of an image
+ */
+function getImagePixels(src, maxSize) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+    };
+    image.onerror = () => reject(new Error('Image load failed'));
+    image.src = src;
+  });
+}
+
+/**
+ * Nearest CSS palette color (including merged variants) within the match threshold
+ */
+function findCssColor(hex) {
+  const candidates = (analysisData.colors || []).flatMap(color => [color.hex, ...(color.variants || [])]);
+  let best = null;
+
+  candidates.forEach(candidate => {
+    const deltaE = ColorModel.deltaE(hex, candidate);
+    if (deltaE <= VISUAL_MATCH_THRESHOLD && (!best || deltaE < best.deltaE)) {
+      best = { hex: candidate, deltaE: Math.round(deltaE * 10) / 10 };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Render tonal scales (color families with 50-900 steps)
+ */
+function renderColorScales(scales) {
+  colorScales.innerHTML = '';
+
+  if (!scales || scales.length === 0) return;
+
+  colorScales.innerHTML = '<div class="scales-title">Tónusskálák</div>';
+
+  scales.forEach(family => {
+    const row = document.createElement('div');
+    row.className = 'scale-row';
+    row.innerHTML = `
+      <span class="scale-name">${family.name}</span>
+      <div class="scale-shades">
+        ${family.shades.map(shade => `
+          <div class="scale-shade" title="${family.name}-${shade.step}: ${shade.hex} (${getCategoryLabel(shade.category)})">
+            <div class="scale-swatch" style="background-color: ${shade.hex}"></div>
+            <span class="scale-step">${shade.step}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    colorScales.appendChild(row);
+  });
+}
+
 /**
  * Get Hungarian label for color category
  */
@@ -270,15 +616,629 @@ function getCategoryLabel(category) {
   return labels[category] || category;
 }
 
+/**
+ * Render gradients section
+ */
+function renderGradients(gradients) {
+  gradientsList.innerHTML = '';
+
+  if (!gradients || gradients.length === 0) {
+    gradientsEmpty.classList.remove('hidden');
+    gradientsCount.textContent = '';
+    return;
+  }
+
+  gradientsEmpty.classList.add('hidden');
+  gradientsCount.textContent = `${gradients.length} db`;
+
+  gradients.forEach(gradient => {
+    const item = document.createElement('div');
+    item.className = 'gradient-item';
+    item.innerHTML = `
+      <div class="gradient-swatch" style="background-image: ${escapeHtml(gradient.css)}"></div>
+      <div class="gradient-info">
+        <div class="gradient-type">${getGradientLabel(gradient)}</div>
+        <div class="gradient-stops">${gradient.stops.map(stop => escapeHtml(stop.hex || stop.color)).join(' → ')}</div>
+      </div>
+      <button class="copy-btn" data-copy="${escapeHtml(`background-image: ${gradient.css};`)}" title="CSS másolása">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+      </button>
+    `;
+    gradientsList.appendChild(item);
+  });
+
+  // Add copy handlers
+  gradientsList.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+}
+
+/**
+ * Short label for a gradient: type, angle/shape, element and stylesheet rule counts
+ */
+function getGradientLabel(gradient) {
+  const type = `${gradient.repeating ? 'repeating-' : ''}${gradient.type}`;
+  const detail = gradient.type === 'radial'
+    ? escapeHtml(gradient.shape)
+    : (gradient.angle !== null ? `${gradient.angle}°` : '');
+  return `${type}${detail ? `, ${detail}` : ''} · ${gradient.count}× elem, ${gradient.rules} szabály`;
+}
+
+/**
+ * Render theme variants: detected mechanisms and light ↔ dark role mapping
+ */
+function renderThemes(themes) {
+  themeMechanisms.innerHTML = '';
+  themeMapping.innerHTML = '';
+
+  if (!themes || themes.mechanisms.length === 0) {
+    themesEmpty.classList.remove('hidden');
+    themesCount.textContent = '';
+    return;
+  }
+
+  themesEmpty.classList.add('hidden');
+  themesCount.textContent = `${themes.themes.length} téma`;
+
+  themeMechanisms.innerHTML = `
+    <div class="themes-title">Mechanizmusok (aktuális: ${themes.current})</div>
+    ${themes.mechanisms.map(mechanism => `
+      <span class="theme-chip" title="${mechanism.ruleCount} szabály">${escapeHtml(mechanism.label)}</span>
+    `).join('')}
+  `;
+
+  if (themes.mapping.length === 0) {
+    themeMapping.innerHTML = '<p class="empty-state">A másik téma nem elemezhető</p>';
+    return;
+  }
+
+  const variant = themes.themes.find(theme => theme.method !== 'current');
+  const methodLabel = variant.method === 'toggle' ? 'váltással mérve' : 'CSS szabályokból';
+
+  const cell = hex => (hex ? `
+    <div class="theme-cell">
+      <div class="theme-swatch" style="background-color: ${hex}"></div>
+      <span class="theme-hex">${hex}</span>
+    </div>
+  ` : '<div class="theme-cell theme-missing">–</div>');
+
+  themeMapping.innerHTML = `
+    <div class="themes-title">Szerepkörök (${escapeHtml(variant.mechanism)}, ${methodLabel})</div>
+    <div class="theme-row theme-head">
+      <span class="theme-role"></span><span>Light</span><span>Dark</span>
+    </div>
+    ${themes.mapping.map(row => `
+      <div class="theme-row">
+        <span class="theme-role">${row.role}</span>
+        ${cell(row.light)}
+        ${cell(row.dark)}
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Render contrast matrix (rows: foreground, columns: background)
+ */
+function renderContrast(contrast) {
+  contrastMatrix.innerHTML = '';
+
+  if (!contrast || contrast.pairs.length === 0) {
+    contrastEmpty.classList.remove('hidden');
+    contrastCount.textContent = '';
+    return;
+  }
+
+  contrastEmpty.classList.add('hidden');
+  const passing = contrast.pairs.filter(pair => pair.aa.normal).length;
+  contrastCount.textContent = `${passing}/${contrast.pairs.length} AA`;
+
+  const findPair = (fg, bg) => contrast.pairs.find(pair => pair.foreground === fg && pair.background === bg);
+
+  const headerCells = contrast.backgrounds.map(bg => `
+    <th title="${bg}"><div class="contrast-swatch" style="background-color: ${bg}"></div></th>
+  `).join('');
+
+  const rows = contrast.foregrounds.map(fg => {
+    const cells = contrast.backgrounds.map(bg => {
+      const pair = findPair(fg, bg);
+      if (!pair) return '<td class="contrast-cell contrast-na">–</td>';
+
+      const level = getContrastLevel(pair);
+      return `
+        <td class="contrast-cell" style="background-color: ${bg}; color: ${fg}"
+            title="${fg} / ${bg}&#10;WCAG: ${pair.ratio}:1&#10;APCA Lc: ${pair.apca}">
+          <div class="contrast-ratio">${pair.ratio.toFixed(1)}</div>
+          <div class="contrast-badge contrast-${level.toLowerCase()}">${level}</div>
+        </td>
+      `;
+    }).join('');
+
+    return `
+      <tr>
+        <th title="${fg}"><div class="contrast-swatch" style="background-color: ${fg}"></div></th>
+        ${cells}
+      </tr>
+    `;
+  }).join('');
+
+  contrastMatrix.innerHTML = `
+    <div class="contrast-scroll">
+      <table class="contrast-table">
+        <thead><tr><th class="contrast-corner">Fg \\ Bg</th>${headerCells}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div class="contrast-legend">AAA: 7:1 · AA: 4.5:1 · AA18: 3:1 (nagy szöveg) · Fail: alatta</div>
+  `;
+}
+
+/**
+ * Render color vision deficiency simulations and collapsing role pairs
+ */
+function renderVision(vision) {
+  visionCollisions.innerHTML = '';
+  visionSimulations.innerHTML = '';
+
+  if (!vision || vision.simulations.length === 0) {
+    visionEmpty.classList.remove('hidden');
+    visionCount.textContent = '';
+    return;
+  }
+
+  visionEmpty.classList.add('hidden');
+  visionCount.textContent = vision.collisions.length > 0 ? `${vision.collisions.length} ütközés` : 'OK';
+
+  if (vision.collisions.length > 0) {
+    visionCollisions.innerHTML = `
+      <div class="vision-title">Összemosódó szerepkör párok</div>
+      ${vision.collisions.map(collision => `
+        <div class="vision-collision">
+          <div class="vision-pair">
+            <div class="vision-swatch" style="background-color: ${collision.first.hex}" title="${collision.first.hex}"></div>
+            <div class="vision-swatch" style="background-color: ${collision.second.hex}" title="${collision.second.hex}"></div>
+          </div>
+          <div class="vision-collision-info">
+            <div class="vision-collision-roles">${getCategoryLabel(collision.first.category)} / ${getCategoryLabel(collision.second.category)} <span class="vision-distance">ΔE ${collision.distance}</span></div>
+            <div class="vision-collision-types">${collision.simulations.map(simulation => `${escapeHtml(simulation.label)}: ΔE ${simulation.distance}`).join(' · ')}</div>
+          </div>
+        </div>
+      `).join('')}
+    `;
+  } else {
+    visionCollisions.innerHTML = '<div class="vision-ok">Minden szerepkör megkülönböztethető marad</div>';
+  }
+
+  visionSimulations.innerHTML = `
+    <div class="vision-title">Szimulált paletták</div>
+    ${vision.simulations.map(simulation => `
+      <div class="vision-row">
+        <span class="vision-label">${escapeHtml(simulation.label)}</span>
+        <div class="vision-swatches">
+          ${simulation.palette.map(color => `
+            <div class="vision-swatch" style="background-color: ${color.simulated}"
+                 title="${color.hex} → ${color.simulated} (${getCategoryLabel(color.category)})"></div>
+          `).join('')}
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Highest WCAG level a pair passes
+ */
+function getContrastLevel(pair) {
+  if (pair.aaa.normal) return 'AAA';
+  if (pair.aa.normal) return 'AA';
+  if (pair.aa.large) return 'AA18';
+  return 'Fail';
+}
+
+/**
+ * Render design tokens section (grouped by value type)
+ */
+function renderTokens(tokens) {
+  tokensList.innerHTML = '';
+
+  if (!tokens || tokens.length === 0) {
+    tokensEmpty.classList.remove('hidden');
+    tokensCount.textContent = '';
+    return;
+  }
+
+  tokensEmpty.classList.add('hidden');
+  tokensCount.textContent = `${tokens.length} db`;
+
+  getTokenTypes().forEach(({ type, label }) => {
+    const group = tokens.filter(token => token.type === type);
+    if (group.length === 0) return;
+
+    tokensList.insertAdjacentHTML('beforeend', `<div class="tokens-title">${label} (${group.length} db)</div>`);
+
+    group.forEach(token => {
+      const item = document.createElement('div');
+      item.className = 'token-item';
+      const preview = type === 'color'
+        ? `<div class="token-swatch" style="background: ${escapeHtml(token.value)}"></div>`
+        : `<span class="token-type">${type}</span>`;
+      item.innerHTML = `
+        ${preview}
+        <div class="token-info">
+          <div class="token-name">${escapeHtml(token.name)}</div>
+          <div class="token-value" title="${escapeHtml(token.raw)}">${escapeHtml(token.value)}</div>
+        </div>
+        <button class="copy-btn" data-copy="${escapeHtml(`${token.name}: ${token.value};`)}" title="Másolás">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+        </button>
+      `;
+      tokensList.appendChild(item);
+    });
+  });
+
+  // Add copy handlers
+  tokensList.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+}
+
+/**
+ * Token types in display order with Hungarian labels
+ */
+function getTokenTypes() {
+  return [
+    { type: 'color', label: 'Színek' },
+    { type: 'length', label: 'Méretek' },
+    { type: 'font', label: 'Fontok' },
+    { type: 'shadow', label: 'Árnyékok' },
+    { type: 'duration', label: 'Időtartamok' },
+    { type: 'other', label: 'Egyéb' }
+  ];
+}
+
+/**
+ * Render spacing scale, radii and elevation levels
+ */
+function renderSpacing(spacing) {
+  spacingScale.innerHTML = '';
+  radiiList.innerHTML = '';
+  elevationList.innerHTML = '';
+
+  if (!spacing || (!spacing.spacing.length && !spacing.radii.length && !spacing.elevation.length)) {
+    spacingEmpty.classList.remove('hidden');
+    spacingCount.textContent = '';
+    return;
+  }
+
+  spacingEmpty.classList.add('hidden');
+  spacingCount.textContent = spacing.baseUnit ? `${spacing.baseUnit.value}px grid` : '';
+
+  // Spacing scale
+  if (spacing.spacing.length > 0) {
+    const maxValue = Math.max(...spacing.spacing.map(item => item.value));
+    const unitInfo = spacing.baseUnit
+      ? `<div class="spacing-unit">Alap egység: <strong>${spacing.baseUnit.value}px</strong> (${spacing.baseUnit.coverage}% az értékekből)</div>`
+      : '';
+
+    spacingScale.innerHTML = `
+      <div class="spacing-title">Térköz skála</div>
+      ${unitInfo}
+      ${spacing.spacing.map(item => `
+        <div class="spacing-row ${item.onGrid === false ? 'off-grid' : ''}" title="${item.count}× használva, #${item.rank}">
+          <span class="spacing-value">${item.value}px</span>
+          <div class="spacing-bar-track"><div class="spacing-bar" style="width: ${Math.max(2, (item.value / maxValue) * 100)}%"></div></div>
+          <span class="spacing-count">${item.count}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Radii
+  if (spacing.radii.length > 0) {
+    radiiList.innerHTML = `
+      <div class="spacing-title">Lekerekítések</div>
+      <div class="radii-grid">
+        ${spacing.radii.map(item => `
+          <div class="radius-item" title="${item.count}× használva">
+            <div class="radius-preview" style="border-radius: ${item.value === 'full' ? '9999px' : item.value + 'px'}"></div>
+            <span class="radius-value">${item.value === 'full' ? 'full' : item.value + 'px'}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Elevation levels
+  if (spacing.elevation.length > 0) {
+    elevationList.innerHTML = `
+      <div class="spacing-title">Elevation szintek</div>
+      ${spacing.elevation.map(level => `
+        <div class="elevation-item">
+          <div class="elevation-preview" style="box-shadow: ${escapeHtml(level.shadows[0].css)}"></div>
+          <div class="elevation-info">
+            <div class="elevation-level">Level ${level.level}</div>
+            <div class="elevation-css">${escapeHtml(level.shadows[0].css)}</div>
+          </div>
+          <button class="copy-btn" data-copy="${escapeHtml(`box-shadow: ${level.shadows[0].css};`)}" title="CSS másolása">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+          </button>
+        </div>
+      `).join('')}
+    `;
+
+    elevationList.querySelectorAll('.copy-btn').forEach(btn => {
+      btn.addEventListener('click', handleCopy);
+    });
+  }
+}
+
+/**
+ * Render breakpoints, content containers and column systems
+ */
+function renderLayout(layout) {
+  breakpointsList.innerHTML = '';
+  containersList.innerHTML = '';
+  gridsList.innerHTML = '';
+
+  if (!layout || (!layout.breakpoints.length && !layout.containers.length && !layout.grids.length)) {
+    layoutEmpty.classList.remove('hidden');
+    layoutCount.textContent = '';
+    return;
+  }
+
+  layoutEmpty.classList.add('hidden');
+  layoutCount.textContent = layout.breakpoints.length > 0 ? `${layout.breakpoints.length} breakpoint` : '';
+
+  // Breakpoints
+  if (layout.breakpoints.length > 0) {
+    breakpointsList.innerHTML = `
+      <div class="layout-title">Breakpointok</div>
+      ${layout.breakpoints.map(bp => `
+        <div class="layout-item" title="${escapeHtml(bp.queries.join('\n'))}">
+          <span class="layout-value">${bp.value}px</span>
+          <span class="layout-detail">${bp.bounds.join('/')}-width · ${bp.kinds.map(kind => '@' + kind).join(', ')}${bp.variants.length ? ` · ~${bp.variants.join(', ')}` : ''}</span>
+          <span class="layout-count">${bp.count}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Content containers
+  if (layout.containers.length > 0) {
+    containersList.innerHTML = `
+      <div class="layout-title">Tartalom konténerek</div>
+      ${layout.containers.map(container => `
+        <div class="layout-item">
+          <span class="layout-value">${container.maxWidth}px</span>
+          <span class="layout-detail">${escapeHtml(container.selectors.join(', '))}</span>
+          <span class="layout-count">${container.count}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Column systems
+  if (layout.grids.length > 0) {
+    gridsList.innerHTML = `
+      <div class="layout-title">Oszloprendszerek</div>
+      ${layout.grids.map(grid => `
+        <div class="layout-item" title="${escapeHtml(grid.template || '')}">
+          <div class="grid-preview" style="gap: ${Math.min(grid.gutter, 6)}px">
+            ${'<span></span>'.repeat(Math.min(grid.columns, 12))}
+          </div>
+          <span class="layout-detail">${grid.type}: ${grid.columns} oszlop, ${grid.gutter}px gutter<br>${escapeHtml(grid.selectors.join(', '))}</span>
+          <span class="layout-count">${grid.count}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+}
+
+/**
+ * Render duration and easing tokens and keyframe animations
+ */
+function renderMotion(motion) {
+  durationsList.innerHTML = '';
+  easingsList.innerHTML = '';
+  keyframesList.innerHTML = '';
+
+  if (!motion || (!motion.durations.length && !motion.easings.length && !motion.keyframes.length)) {
+    motionEmpty.classList.remove('hidden');
+    motionCount.textContent = '';
+    return;
+  }
+
+  motionEmpty.classList.add('hidden');
+  motionCount.textContent = motion.durations.length + motion.easings.length + motion.keyframes.length;
+
+  // Durations
+  if (motion.durations.length > 0) {
+    durationsList.innerHTML = `
+      <div class="motion-title">Időtartamok</div>
+      ${motion.durations.map(duration => `
+        <div class="motion-item">
+          <span class="motion-value">${duration.label}</span>
+          <span class="motion-detail">${duration.usedIn.join(', ')}</span>
+          <span class="motion-count">${duration.count}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Easings with curve preview
+  if (motion.easings.length > 0) {
+    easingsList.innerHTML = `
+      <div class="motion-title">Easing görbék</div>
+      ${motion.easings.map(easing => `
+        <div class="motion-item">
+          <svg class="easing-preview" width="32" height="32" viewBox="-4 -4 48 48">
+            <rect x="0" y="0" width="40" height="40" fill="none" stroke="#e5e5e5"/>
+            <path d="${getEasingPath(easing)}" fill="none" stroke="#18181b" stroke-width="2.5"/>
+          </svg>
+          <span class="motion-detail easing-value">${escapeHtml(easing.value)}</span>
+          <span class="motion-count">${easing.count}×</span>
+          <button class="copy-btn" data-copy="${escapeHtml(easing.value)}" title="Easing másolása">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+          </button>
+        </div>
+      `).join('')}
+    `;
+
+    easingsList.querySelectorAll('.copy-btn').forEach(btn => {
+      btn.addEventListener('click', handleCopy);
+    });
+  }
+
+  // Keyframes
+  if (motion.keyframes.length > 0) {
+    keyframesList.innerHTML = `
+      <div class="motion-title">@keyframes</div>
+      ${motion.keyframes.map(keyframe => `
+        <div class="motion-item" title="${escapeHtml(keyframe.steps.join(', '))}">
+          <span class="motion-value keyframe-name">${escapeHtml(keyframe.name)}</span>
+          <span class="motion-detail">${escapeHtml(keyframe.properties.join(', ') || '-')}</span>
+          <span class="motion-count">${keyframe.usage}×</span>
+        </div>
+      `).join('')}
+    `;
+  }
+}
+
+/**
+ * SVG path for an easing curve in a 40×40 box (progress goes up)
+ */
+function getEasingPath(easing) {
+  if (easing.bezier) {
+    const [x1, y1, x2, y2] = easing.bezier;
+    return `M0,40 C${x1 * 40},${40 - y1 * 40} ${x2 * 40},${40 - y2 * 40} 40,0`;
+  }
+
+  if (easing.steps) {
+    const size = 40 / easing.steps;
+    let path = 'M0,40';
+    for (let i = 1; i <= easing.steps; i++) {
+      path += ` H${i * size} V${40 - i * size}`;
+    }
+    return path;
+  }
+
+  return 'M0,40 L40,0';
+}
+
+/**
+ * Render per-component interactive state tables
+ */
+function renderStates(states) {
+  statesList.innerHTML = '';
+
+  if (!states || states.length === 0) {
+    statesEmpty.classList.remove('hidden');
+    statesCount.textContent = '';
+    return;
+  }
+
+  statesEmpty.classList.add('hidden');
+  const stateful = states.filter(target => target.states.length > 1).length;
+  statesCount.textContent = `${stateful}/${states.length}`;
+
+  const componentLabels = { button: 'Gomb', link: 'Link', input: 'Mező' };
+  const focusLabels = { custom: 'Egyedi fókusz', removed: 'Fókusz eltávolítva', default: 'Böngésző fókusz' };
+
+  statesList.innerHTML = states.map(target => `
+    <div class="state-component">
+      <div class="state-header">
+        <span class="state-name">${componentLabels[target.component]}</span>
+        <span class="state-selector">${escapeHtml(target.selector)}</span>
+        <span class="state-count">${target.count}×</span>
+        <span class="focus-badge focus-${target.focusRing}">${focusLabels[target.focusRing]}</span>
+      </div>
+      <table class="state-table">
+        ${target.states.map(({ state, values, changed }) => `
+          <tr title="${escapeHtml(Object.entries(values).map(([prop, value]) => `${prop}: ${value}`).join('\n'))}">
+            <td class="state-label">${state}</td>
+            <td>
+              <span class="state-preview" style="background: ${escapeHtml(values.background)}; color: ${escapeHtml(values.text)}; border: ${escapeHtml(values.border)}; outline: ${escapeHtml(values.outline)}; box-shadow: ${escapeHtml(values.shadow)}">Aa</span>
+            </td>
+            <td class="state-changes">${state === 'default' ? '' : escapeHtml(changed.map(prop => `${prop}: ${values[prop]}`).join('; '))}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render component variants with live previews
+ */
+function renderComponents(components) {
+  componentsList.innerHTML = '';
+
+  if (!components || components.length === 0) {
+    componentsEmpty.classList.remove('hidden');
+    componentsCount.textContent = '';
+    return;
+  }
+
+  componentsEmpty.classList.add('hidden');
+  componentsCount.textContent = components.reduce((sum, component) => sum + component.variants.length, 0);
+
+  const componentLabels = {
+    button: 'Gombok',
+    card: 'Kártyák',
+    badge: 'Badge / Chip',
+    alert: 'Alertek',
+    input: 'Űrlap mezők'
+  };
+  const fallbackText = { button: 'Button', card: 'Card', badge: 'Badge', alert: 'Alert', input: 'Input' };
+
+  componentsList.innerHTML = components.map(component => `
+    <div class="components-title">${componentLabels[component.component]} (${component.variants.length} variáns)</div>
+    ${component.variants.map(variant => `
+      <div class="component-item" title="${escapeHtml(Object.entries(variant.style).map(([prop, value]) => `${prop}: ${value}`).join('\n'))}">
+        <div class="component-preview-wrap">
+          <span class="component-preview ${component.component === 'card' || component.component === 'alert' ? 'component-block' : ''}"
+                style="${escapeHtml(getComponentStyle(variant.style))}">${escapeHtml(variant.sample || fallbackText[component.component])}</span>
+        </div>
+        <div class="component-info">
+          <div class="component-name">${escapeHtml(variant.name)}</div>
+          <div class="component-selectors">${escapeHtml(variant.selectors.join(', '))}</div>
+        </div>
+        <span class="component-count">${variant.count}×</span>
+      </div>
+    `).join('')}
+  `).join('');
+}
+
+/**
+ * Inline CSS for a component preview from its visual signature
+ */
+function getComponentStyle(style) {
+  return [
+    `background: ${style.background}`,
+    `color: ${style.color}`,
+    `border: ${style.border}`,
+    `border-radius: ${style.radius}`,
+    `padding: ${style.padding}`,
+    `font-family: ${style.fontFamily}`,
+    `font-size: ${style.fontSize}`,
+    `font-weight: ${style.fontWeight}`,
+    `box-shadow: ${style.shadow}`
+  ].join('; ');
+}
+
 /**
  * Render typography section
  */
 function renderTypography(typography) {
   fontFamiliesList.innerHTML = '';
+  typographyAudit.innerHTML = '';
+  typeScale.innerHTML = '';
+  textStyles.innerHTML = '';
+  variableFonts.innerHTML = '';
   headingsList.innerHTML = '';
   bodyText.innerHTML = '';
 
-  if (!typography || (!typography.fontFamilies?.length && !typography.headings && !typography.body)) {
+  if (!typography || (!typography.fontFamilies?.length && !typography.headings && !typography.body && !typography.scale && !typography.textStyles?.length)) {
     typographyEmpty.classList.remove('hidden');
     return;
   }
@@ -300,6 +1260,101 @@ function renderTypography(typography) {
     });
   }
 
+  // Consistency audit
+  if (typography.audit && typography.audit.length > 0) {
+    typographyAudit.innerHTML = `
+      <div class="typography-audit-title">Konzisztencia audit (${typography.audit.length})</div>
+      ${typography.audit.map(finding => `
+        <div class="audit-item audit-${finding.severity}">
+          <div class="audit-message">${escapeHtml(finding.message)}</div>
+          ${finding.variants ? `
+            <div class="audit-variants">
+              ${finding.variants.map(variant => `<div>${variant.count}× ${escapeHtml(getTextStyleSummary(variant.style))}</div>`).join('')}
+            </div>
+          ` : ''}
+          <div class="audit-selectors">
+            ${finding.selectors.map(selector => `
+              <button class="highlight-btn" data-selector="${escapeHtml(selector)}" title="Kiemelés az oldalon">${escapeHtml(selector)}</button>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    `;
+
+    typographyAudit.querySelectorAll('.highlight-btn').forEach(btn => {
+      btn.addEventListener('click', handleHighlight);
+    });
+  }
+
+  // Type scale ramp
+  if (typography.scale) {
+    const scale = typography.scale;
+    const offScale = scale.sizes.filter(item => !item.onScale).length;
+
+    typeScale.innerHTML = `
+      <div class="type-scale-title">Típus skála</div>
+      <div class="type-scale-info">
+        Alap: <strong>${scale.base}px</strong> · Arány: <strong>${scale.ratio.value}</strong> (${scale.ratio.name})
+        ${offScale ? ` · <span class="type-scale-warning">${offScale} skálán kívüli méret</span>` : ''}
+      </div>
+      ${scale.sizes.map(item => `
+        <div class="type-scale-row ${item.onScale ? '' : 'off-scale'}" title="${item.onScale ? 'Skálán' : `Skálán kívül (várt: ${item.expected}px)`}">
+          <span class="type-scale-step">${item.step > 0 ? '+' : ''}${item.step}</span>
+          <span class="type-scale-sample" style="font-size: ${Math.min(item.size, 40)}px">Aa</span>
+          <span class="type-scale-size">${item.size}px</span>
+          <span class="type-scale-share">${item.share}%</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Text styles
+  if (typography.textStyles && typography.textStyles.length > 0) {
+    textStyles.innerHTML = `
+      <div class="text-styles-title">Szöveg stílusok</div>
+      ${typography.textStyles.map(style => `
+        <div class="text-style-item" title="${escapeHtml(style.selectors.join(', '))}">
+          <div class="text-style-header">
+            <span class="text-style-name">${escapeHtml(style.name)}</span>
+            <span class="text-style-coverage">${style.coverage}% · ${style.count} elem</span>
+          </div>
+          <div class="text-style-sample" style="font-family: ${escapeHtml(style.fontFamily)}; font-size: ${Math.min(parseFloat(style.fontSize), 28)}px; font-weight: ${style.fontWeight}; letter-spacing: ${style.letterSpacing}; text-transform: ${style.textTransform}; color: ${style.color}">${escapeHtml(style.sample || 'Aa')}</div>
+          <div class="text-style-details">${escapeHtml(getTextStyleSummary(style))}</div>
+          ${style.responsive ? `
+            <div class="text-style-responsive">${getResponsiveSizeLines(style.responsive).map(line => escapeHtml(line)).join('<br>')}</div>
+          ` : ''}
+          ${style.features && Object.keys(style.features).length ? `
+            <div class="text-style-features">${escapeHtml(getFontFeatureSummary(style.features))}</div>
+          ` : ''}
+          ${style.renderedFont && style.renderedFont.fallback ? `
+            <div class="text-style-fallback ${style.renderedFont.failed.length ? 'fallback-error' : ''}">
+              ${escapeHtml(getRenderedFontNote(style.renderedFont))}
+            </div>
+          ` : ''}
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Variable font axes
+  if (typography.variableFonts && typography.variableFonts.length > 0) {
+    variableFonts.innerHTML = `
+      <div class="variable-fonts-title">Variable fontok</div>
+      ${typography.variableFonts.map(font => `
+        <div class="variable-font-item">
+          <div class="variable-font-name">${escapeHtml(font.family)}</div>
+          ${font.axes.map(axis => `
+            <div class="variable-axis" title="${axis.values.join(', ')}">
+              <span class="variable-axis-tag">${escapeHtml(axis.tag)}</span>
+              <span class="variable-axis-range">${axis.min === axis.max ? axis.min : `${axis.min} – ${axis.max}`}</span>
+              <span class="variable-axis-declared">${font.ranges[axis.tag] ? `@font-face: ${escapeHtml(font.ranges[axis.tag])}` : ''}</span>
+            </div>
+          `).join('')}
+        </div>
+      `).join('')}
+    `;
+  }
+
   // Headings
   if (typography.headings) {
     const headingTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
@@ -323,27 +1378,152 @@ function renderTypography(typography) {
       }
     });
 
-    if (hasHeadings) {
-      headingsList.insertAdjacentHTML('afterbegin', '<div class="headings-title">Heading Stílusok</div>');
-    }
+    if (hasHeadings) {
+      headingsList.insertAdjacentHTML('afterbegin', '<div class="headings-title">Heading Stílusok</div>');
+    }
+  }
+
+  // Body text
+  if (typography.body) {
+    const b = typography.body;
+    bodyText.innerHTML = `
+      <div class="body-title">Body Szöveg</div>
+      <div class="body-details">
+        ${b.fontFamily}, ${b.fontSize}, ${getWeightLabel(b.fontWeight)}, ${b.color}
+        <br>line-height: ${b.lineHeight}
+      </div>
+    `;
+  }
+
+  // Add copy handlers
+  document.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+}
+
+/**
+ * Render web font families with sources, download and embed snippets
+ */
+function renderFonts(fonts) {
+  fontsList.innerHTML = '';
+
+  if (!fonts || fonts.length === 0) {
+    fontsEmpty.classList.remove('hidden');
+    fontsCount.textContent = '';
+    return;
+  }
+
+  fontsEmpty.classList.add('hidden');
+  fontsCount.textContent = fonts.length;
+
+  fontsList.innerHTML = fonts.map((font, index) => {
+    const displays = Array.from(new Set(font.faces.map(face => face.display)));
+    const failed = font.faces.filter(face => face.status === 'error').length;
+    const snippetButtons = font.snippet ? [
+      font.snippet.link ? `<button class="snippet-btn" data-copy="${escapeHtml(font.snippet.link)}">&lt;link&gt;</button>` : '',
+      font.snippet.import ? `<button class="snippet-btn" data-copy="${escapeHtml(font.snippet.import)}">@import</button>` : '',
+      font.snippet.css ? `<button class="snippet-btn" data-copy="${escapeHtml(font.snippet.css)}">@font-face</button>` : ''
+    ].join('') : '';
+
+    return `
+      <div class="font-item">
+        <div class="font-header">
+          <span class="font-name" style="font-family: '${escapeHtml(font.family)}'">${escapeHtml(font.family)}</span>
+          <span class="font-provider provider-${font.provider}">${getFontProviderLabel(font.provider)}</span>
+          ${font.files.length > 0 ? `
+            <button class="download-btn font-download-btn" data-font-index="${index}" title="${font.files.length} fájl letöltése">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+            </button>
+          ` : ''}
+        </div>
+        <div class="font-details">
+          ${font.faces.length > 0
+            ? `${font.weights.join(', ')} · ${font.styles.join(', ')} · ${font.files.length} fájl${displays.length ? ` · font-display: ${displays.join('/')}` : ''}`
+            : 'Nincs @font-face, rendszer font'}
+          ${font.used ? '' : ' · <span class="font-unused">nem használt</span>'}
+          ${failed ? ` · <span class="font-failed">${failed} face betöltése sikertelen</span>` : ''}
+        </div>
+        ${snippetButtons ? `<div class="font-snippets">${snippetButtons}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  fontsList.querySelectorAll('.snippet-btn').forEach(btn => {
+    btn.addEventListener('click', handleCopy);
+  });
+  fontsList.querySelectorAll('.font-download-btn').forEach(btn => {
+    btn.addEventListener('click', handleFontDownload);
+  });
+}
+
+/**
+ * Font provider label
+ */
+function getFontProviderLabel(provider) {
+  const labels = {
+    'google': 'Google Fonts',
+    'adobe': 'Adobe Fonts',
+    'self-hosted': 'Saját tárhely',
+    'cdn': 'Külső CDN',
+    'system': 'Rendszer font'
+  };
+  return labels[provider] || provider;
+}
+
+/**
+ * Responsive font-size description: fluid formula and per-breakpoint values
+ */
+function getResponsiveSizeLines(responsive) {
+  const lines = [];
+
+  if (responsive.fluid) {
+    const fluid = responsive.fluid;
+    const parts = [
+      fluid.min ? `min ${fluid.min}` : null,
+      `preferred ${fluid.preferred}`,
+      fluid.max ? `max ${fluid.max}` : null
+    ].filter(Boolean).join(' · ');
+    lines.push(`Fluid (${fluid.unit === 'container' ? 'container' : 'viewport'}): ${fluid.formula} → ${parts}`);
+  } else if (responsive.base) {
+    lines.push(`Alap: ${responsive.base}`);
   }
 
-  // Body text
-  if (typography.body) {
-    const b = typography.body;
-    bodyText.innerHTML = `
-      <div class="body-title">Body Szöveg</div>
-      <div class="body-details">
-        ${b.fontFamily}, ${b.fontSize}, ${getWeightLabel(b.fontWeight)}, ${b.color}
-        <br>line-height: ${b.lineHeight}
-      </div>
-    `;
+  responsive.breakpoints.forEach(bp => {
+    lines.push(`${bp.query}: ${bp.value}`);
+  });
+
+  if (responsive.inheritedFrom) {
+    lines.push(`Örökölt innen: ${responsive.inheritedFrom}`);
   }
 
-  // Add copy handlers
-  document.querySelectorAll('.copy-btn').forEach(btn => {
-    btn.addEventListener('click', handleCopy);
-  });
+  return lines;
+}
+
+/**
+ * OpenType / variable font settings of a text style in one line
+ */
+function getFontFeatureSummary(features) {
+  return Object.entries(features)
+    .map(([prop, values]) => `${prop}: ${values.join(' | ')}`)
+    .join('; ');
+}
+
+/**
+ * Note for a text style whose rendered font differs from the declared one
+ */
+function getRenderedFontNote(font) {
+  const failed = font.failed.map(item => `${item.family}: ${item.status}`).join(', ');
+  return `Megjelenő font: ${font.rendered} (${font.declared} helyett)${failed ? ` - nem betöltött web font: ${failed}` : ''}`;
+}
+
+/**
+ * One-line description of a text style
+ */
+function getTextStyleSummary(style) {
+  const parts = [`${style.fontFamily}`, `${style.fontSize}/${style.lineHeight}`, getWeightLabel(style.fontWeight), style.color];
+  if (style.letterSpacing !== 'normal') parts.push(`letter-spacing: ${style.letterSpacing}`);
+  if (style.textTransform !== 'none') parts.push(style.textTransform);
+  return parts.join(', ');
 }
 
 /**
@@ -369,6 +1549,7 @@ function getWeightLabel(weight) {
  */
 function renderImages(images) {
   logoContainer.innerHTML = '';
+  brandList.innerHTML = '';
   imagesList.innerHTML = '';
   svgsList.innerHTML = '';
   backgroundsList.innerHTML = '';
@@ -391,6 +1572,7 @@ function renderImages(images) {
         <div class="logo-info">
           <div class="logo-name">${getFileName(images.logo.url)}</div>
           <div class="logo-dimensions">${images.logo.width || '?'}×${images.logo.height || '?'}px</div>
+          ${renderImageColors(images.logo.colors)}
         </div>
         <button class="download-btn" data-url="${images.logo.url}" data-name="${getFileName(images.logo.url)}">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
@@ -399,6 +1581,12 @@ function renderImages(images) {
     `;
   }
 
+  // Brand icons, theme colors and web manifest
+  if (images.brand && (images.brand.icons.length > 0 || images.brand.themeColors.length > 0)) {
+    totalCount += images.brand.icons.length;
+    renderBrandIcons(images.brand);
+  }
+
   // All images
   if (images.all && images.all.length > 0) {
     totalCount += images.all.length;
@@ -411,6 +1599,7 @@ function renderImages(images) {
         <div class="image-info">
           <div class="image-name">${getFileName(img.url)}</div>
           <div class="image-dimensions">${img.width || '?'}×${img.height || '?'}px</div>
+          ${renderImageColors(img.colors)}
         </div>
         <button class="download-btn" data-url="${img.url}" data-name="${getFileName(img.url)}">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
@@ -474,16 +1663,95 @@ function renderImages(images) {
     imagesCount.textContent = '';
   }
 
+  // Handlers only inside the images section (other sections bind their own download buttons)
+  const containers = [logoContainer, brandList, imagesList, svgsList, backgroundsList];
+  const queryImages = selector => containers.flatMap(container => Array.from(container.querySelectorAll(selector)));
+
+  // Dominant color swatches copy their HEX
+  queryImages('.image-color').forEach(swatch => {
+    swatch.addEventListener('click', handleCopy);
+  });
+
   // Add download handlers
-  document.querySelectorAll('.download-btn:not(.download-svg)').forEach(btn => {
+  queryImages('.download-btn:not(.download-svg)').forEach(btn => {
     btn.addEventListener('click', handleDownload);
   });
 
-  document.querySelectorAll('.download-svg').forEach(btn => {
+  queryImages('.download-svg').forEach(btn => {
     btn.addEventListener('click', handleSvgDownload);
   });
 }
 
+/**
+ * Render the brand icons group (favicons, touch/mask icons, manifest icons, social images)
+ */
+function renderBrandIcons(brand) {
+  brandList.innerHTML = `<div class="images-title">Brand ikonok (${brand.icons.length} db)</div>`;
+
+  if (brand.manifest) {
+    const manifestInfo = document.createElement('div');
+    manifestInfo.className = 'brand-manifest';
+    manifestInfo.textContent = brand.manifest.error
+      ? `Web manifest nem olvasható: ${brand.manifest.error}`
+      : `Web manifest: ${getFileName(brand.manifest.url)}${brand.manifest.name ? ` (${brand.manifest.name})` : ''}`;
+    brandList.appendChild(manifestInfo);
+  }
+
+  if (brand.themeColors.length > 0) {
+    const themeColors = document.createElement('div');
+    themeColors.className = 'brand-theme-colors';
+    themeColors.innerHTML = brand.themeColors.map(color => `
+      <div class="brand-theme-color">
+        <button class="image-color" data-copy="${color.hex}" style="background-color: ${color.hex}" title="Másolás"></button>
+        <span class="brand-theme-hex">${color.hex}</span>
+        <span class="brand-theme-source">${escapeHtml(color.source)}${color.media ? ` (${escapeHtml(color.media)})` : ''}${color.active ? '' : ' · most nem aktív'}</span>
+      </div>
+    `).join('');
+    brandList.appendChild(themeColors);
+  }
+
+  brand.icons.forEach(icon => {
+    const item = document.createElement('div');
+    item.className = 'image-item';
+    item.innerHTML = `
+      <img src="${escapeHtml(icon.url)}" alt="${escapeHtml(icon.label)}" class="image-preview" onerror="this.style.display='none'">
+      <div class="image-info">
+        <div class="image-name">${escapeHtml(icon.label)} · ${escapeHtml(getFileName(icon.url))}</div>
+        <div class="image-dimensions">${icon.sizes ? escapeHtml(icon.sizes) : '?'}${icon.type && icon.type !== 'unknown' ? ` · ${escapeHtml(icon.type)}` : ''}</div>
+        ${icon.color ? renderImageColors([{ hex: icon.color, share: 100 }]) : ''}
+      </div>
+      <button class="download-btn" data-url="${escapeHtml(icon.url)}" data-name="${escapeHtml(getFileName(icon.url))}">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+      </button>
+    `;
+
+    // Without declared sizes, show the natural size once the preview loads
+    if (!icon.sizes) {
+      const preview = item.querySelector('.image-preview');
+      preview.addEventListener('load', () => {
+        item.querySelector('.image-dimensions').textContent = `${preview.naturalWidth}×${preview.naturalHeight}px`;
+      });
+    }
+
+    brandList.appendChild(item);
+  });
+}
+
+/**
+ * Dominant color swatches of an image (click copies the HEX)
+ */
+function renderImageColors(colors) {
+  if (!colors || colors.length === 0) return '';
+
+  return `
+    <div class="image-colors">
+      ${colors.map(color => `
+        <button class="image-color" data-copy="${color.hex}" style="background-color: ${color.hex}" title="${color.hex} (${color.share}%)"></button>
+      `).join('')}
+    </div>
+  `;
+}
+
 /**
  * Get filename from URL
  */
@@ -498,6 +1766,17 @@ function getFileName(url) {
   }
 }
 
+/**
+ * Escape text for safe use in innerHTML and attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Handle copy to clipboard
  */
@@ -560,6 +1839,43 @@ function handleSvgDownload(event) {
   }
 }
 
+/**
+ * Handle font family download (every file of the family)
+ */
+function handleFontDownload(event) {
+  const btn = event.currentTarget;
+  const index = parseInt(btn.dataset.fontIndex);
+
+  if (analysisData && analysisData.fonts && analysisData.fonts[index]) {
+    analysisData.fonts[index].files.forEach(file => {
+      // Use anchor element for download (no permission needed)
+      const a = document.createElement('a');
+      a.href = file.url;
+      a.download = file.name;
+      a.target = '_blank';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    });
+  }
+}
+
+/**
+ * Highlight an element on the page by its selector (audit findings)
+ */
+async function handleHighlight(event) {
+  const selector = event.currentTarget.dataset.selector;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await chrome.tabs.sendMessage(tab.id, { action: 'highlight', selector });
+    }
+  } catch (error) {
+    console.error('Highlight failed:', error);
+  }
+}
+
 /**
  * Handle export button click
  */
@@ -584,6 +1900,25 @@ function handleExport() {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Nearest names of a color in one report line, with ΔE distances
+ */
+function formatColorMatch(match) {
+  return [
+    `Név: ${match.name.name} (ΔE ${match.name.deltaE})`,
+    `CSS: ${match.css.name} (ΔE ${match.css.deltaE})`,
+    `Tailwind: ${match.tailwind.name} (ΔE ${match.tailwind.deltaE})`,
+    `Material: ${match.material.name} (ΔE ${match.material.deltaE})`
+  ].join(' | ');
+}
+
+/**
+ * Dominant image colors in one report line, with shares
+ */
+function formatImageColors(colors) {
+  return colors.map(color => `${color.hex} (${color.share}%)`).join(', ');
+}
+
 /**
  * Generate TXT report
  */
@@ -596,6 +1931,10 @@ function generateReport(data) {
   lines.push(divider);
   lines.push(`Oldal: ${data.url}`);
   lines.push(`Elemzés dátuma: ${new Date(data.timestamp).toLocaleString('hu-HU')}`);
+  if (data.styleSheets) {
+    const stats = data.styleSheets;
+    lines.push(`Stylesheet-ek: ${stats.direct} közvetlenül olvasva, ${stats.fetched} letöltve, ${stats.failed} sikertelen (${stats.rules} szabály)`);
+  }
   lines.push('');
 
   // Colors
@@ -603,13 +1942,300 @@ function generateReport(data) {
   lines.push(subDivider);
   if (data.colors && data.colors.length > 0) {
     data.colors.forEach(color => {
-      lines.push(`${color.hex} - ${getCategoryLabel(color.category)}`);
+      const coverage = color.coverage ? ` - ${getCoverageLabel(color.coverage)}` : '';
+      const logo = color.logo ? ' (logó szín)' : '';
+      lines.push(`${color.hex} - ${getCategoryLabel(color.category)}${logo}${coverage}`);
+      const formats = ColorModel.formats(color.hex);
+      if (formats) {
+        lines.push(`  ${formats.rgb} | ${formats.hsl} | ${formats.oklch}`);
+      }
+      if (color.original) {
+        lines.push(`  Eredeti CSS: ${color.original}`);
+      }
+      if (color.match) {
+        lines.push(`  ${formatColorMatch(color.match)}`);
+      }
+      if (color.variants && color.variants.length > 0) {
+        lines.push(`  Összevonva: ${color.variants.join(', ')}`);
+      }
     });
   } else {
     lines.push('Nincs szín az oldalon');
   }
   lines.push('');
 
+  if (data.colorFrameworks && data.colorFrameworks.length > 0) {
+    lines.push('Gyári paletták:');
+    data.colorFrameworks.forEach(framework => {
+      lines.push(`  ${framework.label}: ${framework.matched}/${framework.total} szín pontos egyezés (${framework.colors.join(', ')})`);
+    });
+    lines.push('');
+  }
+
+  if (data.visualPalette && data.visualPalette.length > 0) {
+    lines.push('Vizuális paletta (képernyőkép):');
+    data.visualPalette.forEach(color => {
+      const css = color.css ? `CSS: ${color.css.hex} (ΔE ${color.css.deltaE})` : 'csak képen';
+      lines.push(`  ${color.hex} - ${color.share}% - ${css}`);
+    });
+    lines.push('');
+  }
+
+  if (data.colorScales && data.colorScales.length > 0) {
+    lines.push('Tónusskálák:');
+    data.colorScales.forEach(family => {
+      const shades = family.shades.map(shade => `${shade.step}: ${shade.hex}`).join(', ');
+      lines.push(`  ${family.name} - ${shades}`);
+    });
+    lines.push('');
+  }
+
+  // Gradients
+  lines.push('🌈 SZÍNÁTMENETEK');
+  lines.push(subDivider);
+  if (data.gradients && data.gradients.length > 0) {
+    data.gradients.forEach(gradient => {
+      lines.push(`${gradient.css}`);
+      lines.push(`  Stopok: ${gradient.stops.map(stop => `${stop.hex || stop.color}${stop.position ? ' ' + stop.position : ''}`).join(', ')}`);
+      lines.push(`  Használat: ${gradient.count} elem, ${gradient.rules} szabály (${gradient.sources})`);
+    });
+  } else {
+    lines.push('Nincs színátmenet az oldalon');
+  }
+  lines.push('');
+
+  // Themes
+  lines.push('🌙 TÉMÁK (LIGHT / DARK)');
+  lines.push(subDivider);
+  if (data.themes && data.themes.mechanisms.length > 0) {
+    lines.push(`Aktuális téma: ${data.themes.current}`);
+    lines.push('Mechanizmusok:');
+    data.themes.mechanisms.forEach(mechanism => {
+      lines.push(`  - ${mechanism.label} (${mechanism.ruleCount} szabály)`);
+    });
+    lines.push('');
+
+    data.themes.themes.forEach(theme => {
+      const source = theme.mechanism ? ` - ${theme.mechanism}` : '';
+      lines.push(`${theme.name} paletta${source}:`);
+      theme.palette.forEach(color => {
+        const name = color.match ? ` (${color.match.name.name}, Tailwind ${color.match.tailwind.name})` : '';
+        lines.push(`  ${color.hex} - ${getCategoryLabel(color.category)}${name}`);
+      });
+      lines.push('');
+    });
+
+    if (data.themes.mapping.length > 0) {
+      lines.push('Szerepkörök (light → dark):');
+      data.themes.mapping.forEach(row => {
+        lines.push(`  ${row.role}: ${row.light || '–'} → ${row.dark || '–'}`);
+      });
+    }
+  } else {
+    lines.push('Nincs téma váltás az oldalon');
+  }
+  lines.push('');
+
+  // Contrast matrix
+  lines.push('🌓 KONTRASZT MÁTRIX');
+  lines.push(subDivider);
+  if (data.contrast && data.contrast.pairs.length > 0) {
+    const mark = passed => (passed ? '✓' : '✗');
+    data.contrast.pairs.forEach(pair => {
+      lines.push(`${pair.foreground} / ${pair.background} - ${pair.ratio}:1, APCA Lc ${pair.apca}`);
+      lines.push(`  AA: normál ${mark(pair.aa.normal)}, nagy ${mark(pair.aa.large)} | AAA: normál ${mark(pair.aaa.normal)}, nagy ${mark(pair.aaa.large)}`);
+    });
+  } else {
+    lines.push('Nincs értékelhető szín pár');
+  }
+  lines.push('');
+
+  // Color vision deficiency
+  lines.push('👁️ SZÍNTÉVESZTÉS SZIMULÁCIÓ');
+  lines.push(subDivider);
+  if (data.vision && data.vision.simulations.length > 0) {
+    if (data.vision.collisions.length > 0) {
+      lines.push('Összemosódó szerepkör párok:');
+      data.vision.collisions.forEach(collision => {
+        lines.push(`  ${collision.first.hex} (${getCategoryLabel(collision.first.category)}) / ${collision.second.hex} (${getCategoryLabel(collision.second.category)}) - eredeti ΔE ${collision.distance}`);
+        collision.simulations.forEach(simulation => {
+          lines.push(`    ${simulation.label}: ΔE ${simulation.distance}`);
+        });
+      });
+    } else {
+      lines.push('Minden szerepkör megkülönböztethető marad');
+    }
+    lines.push('');
+
+    data.vision.simulations.forEach(simulation => {
+      lines.push(`${simulation.label}:`);
+      simulation.palette.forEach(color => {
+        lines.push(`  ${color.hex} → ${color.simulated} - ${getCategoryLabel(color.category)}`);
+      });
+    });
+  } else {
+    lines.push('Nincs szimulálható szín');
+  }
+  lines.push('');
+
+  // Design tokens
+  lines.push('🧩 DESIGN TOKENEK');
+  lines.push(subDivider);
+  if (data.tokens && data.tokens.length > 0) {
+    getTokenTypes().forEach(({ type, label }) => {
+      const group = data.tokens.filter(token => token.type === type);
+      if (group.length === 0) return;
+
+      lines.push(`${label}:`);
+      group.forEach(token => {
+        const raw = token.raw !== token.value ? ` (${token.raw})` : '';
+        lines.push(`  ${token.name}: ${token.value}${raw}`);
+      });
+      lines.push('');
+    });
+  } else {
+    lines.push('Nincs CSS változó az oldalon');
+    lines.push('');
+  }
+
+  // Spacing
+  lines.push('📐 TÉRKÖZÖK & FORMÁK');
+  lines.push(subDivider);
+  if (data.spacing && (data.spacing.spacing.length || data.spacing.radii.length || data.spacing.elevation.length)) {
+    if (data.spacing.baseUnit) {
+      lines.push(`Alap egység: ${data.spacing.baseUnit.value}px (${data.spacing.baseUnit.coverage}% az értékekből)`);
+      lines.push('');
+    }
+
+    if (data.spacing.spacing.length > 0) {
+      lines.push('Térköz skála:');
+      data.spacing.spacing.forEach(item => {
+        const grid = item.onGrid === false ? ', gridon kívül' : '';
+        lines.push(`  - ${item.value}px (${item.count}× használat${grid})`);
+      });
+      lines.push('');
+    }
+
+    if (data.spacing.radii.length > 0) {
+      lines.push('Lekerekítések:');
+      data.spacing.radii.forEach(item => {
+        lines.push(`  - ${item.value === 'full' ? 'full' : item.value + 'px'} (${item.count}× használat)`);
+      });
+      lines.push('');
+    }
+
+    if (data.spacing.elevation.length > 0) {
+      lines.push('Elevation szintek:');
+      data.spacing.elevation.forEach(level => {
+        lines.push(`  Level ${level.level}: ${level.shadows[0].css} (${level.count}× használat)`);
+      });
+      lines.push('');
+    }
+  } else {
+    lines.push('Nincs térköz információ');
+    lines.push('');
+  }
+
+  // Layout
+  lines.push('📏 LAYOUT & BREAKPOINTOK');
+  lines.push(subDivider);
+  if (data.layout && (data.layout.breakpoints.length || data.layout.containers.length || data.layout.grids.length)) {
+    if (data.layout.breakpoints.length > 0) {
+      lines.push('Breakpointok:');
+      data.layout.breakpoints.forEach(bp => {
+        const variants = bp.variants.length ? `, ~${bp.variants.join(', ')}` : '';
+        lines.push(`  - ${bp.value}px (${bp.bounds.join('/')}-width, ${bp.kinds.map(kind => '@' + kind).join(', ')}, ${bp.count} szabály${variants})`);
+      });
+      lines.push('');
+    }
+
+    if (data.layout.containers.length > 0) {
+      lines.push('Tartalom konténerek:');
+      data.layout.containers.forEach(container => {
+        lines.push(`  - max-width: ${container.maxWidth}px (${container.count}×, ${container.selectors.join(', ')})`);
+      });
+      lines.push('');
+    }
+
+    if (data.layout.grids.length > 0) {
+      lines.push('Oszloprendszerek:');
+      data.layout.grids.forEach(grid => {
+        lines.push(`  - ${grid.type}: ${grid.columns} oszlop, ${grid.gutter}px gutter (${grid.count}×, ${grid.selectors.join(', ')})`);
+      });
+      lines.push('');
+    }
+  } else {
+    lines.push('Nincs layout információ');
+    lines.push('');
+  }
+
+  // Motion
+  lines.push('🎞️ MOZGÁS & ANIMÁCIÓK');
+  lines.push(subDivider);
+  if (data.motion && (data.motion.durations.length || data.motion.easings.length || data.motion.keyframes.length)) {
+    if (data.motion.durations.length > 0) {
+      lines.push('Időtartamok:');
+      data.motion.durations.forEach(duration => {
+        lines.push(`  - ${duration.label} (${duration.count}×, ${duration.usedIn.join(', ')})`);
+      });
+      lines.push('');
+    }
+
+    if (data.motion.easings.length > 0) {
+      lines.push('Easing görbék:');
+      data.motion.easings.forEach(easing => {
+        const bezier = easing.bezier && !easing.value.startsWith('cubic-bezier') ? ` = cubic-bezier(${easing.bezier.join(', ')})` : '';
+        lines.push(`  - ${easing.value}${bezier} (${easing.count}×)`);
+      });
+      lines.push('');
+    }
+
+    if (data.motion.keyframes.length > 0) {
+      lines.push('@keyframes:');
+      data.motion.keyframes.forEach(keyframe => {
+        lines.push(`  - ${keyframe.name}: ${keyframe.steps.join(', ')} → ${keyframe.properties.join(', ') || '-'} (${keyframe.usage}× használat)`);
+      });
+      lines.push('');
+    }
+  } else {
+    lines.push('Nincs transition vagy animáció az oldalon');
+    lines.push('');
+  }
+
+  // Interactive states
+  lines.push('🖱️ INTERAKTÍV ÁLLAPOTOK');
+  lines.push(subDivider);
+  if (data.states && data.states.length > 0) {
+    data.states.forEach(target => {
+      lines.push(`${target.component}: ${target.selector} (${target.count}×, fókusz: ${target.focusRing})`);
+      target.states.forEach(({ state, values, changed }) => {
+        const props = state === 'default' ? Object.keys(values) : changed;
+        lines.push(`  ${state}: ${props.map(prop => `${prop} ${values[prop]}`).join(', ')}`);
+      });
+      lines.push('');
+    });
+  } else {
+    lines.push('Nincs gomb, link vagy űrlap mező az oldalon');
+    lines.push('');
+  }
+
+  // Components
+  lines.push('🧱 KOMPONENSEK');
+  lines.push(subDivider);
+  if (data.components && data.components.length > 0) {
+    data.components.forEach(component => {
+      lines.push(`${component.component} (${component.variants.length} variáns, ${component.total} elem):`);
+      component.variants.forEach(variant => {
+        const style = variant.style;
+        lines.push(`  - ${variant.name} (${variant.count}×): bg ${style.background}, szöveg ${style.color}, keret ${style.border}, radius ${style.radius}, padding ${style.padding}, font ${style.fontFamily} ${style.fontSize}/${style.fontWeight}, árnyék ${style.shadow}`);
+      });
+      lines.push('');
+    });
+  } else {
+    lines.push('Nem található komponens az oldalon');
+    lines.push('');
+  }
+
   // Typography
   lines.push('✏️ TIPOGRÁFIA');
   lines.push(subDivider);
@@ -623,6 +2249,60 @@ function generateReport(data) {
       lines.push('');
     }
 
+    if (data.typography.audit && data.typography.audit.length > 0) {
+      lines.push('Konzisztencia audit:');
+      data.typography.audit.forEach(finding => {
+        lines.push(`  ${finding.severity === 'warning' ? '⚠' : 'ℹ'} ${finding.message}`);
+        (finding.variants || []).forEach(variant => {
+          lines.push(`      ${variant.count}× ${getTextStyleSummary(variant.style)} - ${variant.selectors.join(', ')}`);
+        });
+        if (!finding.variants) {
+          lines.push(`      ${finding.selectors.join(', ')}`);
+        }
+      });
+      lines.push('');
+    }
+
+    if (data.typography.scale) {
+      const scale = data.typography.scale;
+      lines.push(`Típus skála: alap ${scale.base}px, arány ${scale.ratio.value} (${scale.ratio.name})`);
+      scale.sizes.forEach(item => {
+        const status = item.onScale ? '' : ` - skálán kívül, várt: ${item.expected}px`;
+        lines.push(`  ${item.step > 0 ? '+' : ''}${item.step}: ${item.size}px (${item.share}% szöveg${status})`);
+      });
+      lines.push('');
+    }
+
+    if (data.typography.textStyles && data.typography.textStyles.length > 0) {
+      lines.push('Szöveg stílusok:');
+      data.typography.textStyles.forEach(style => {
+        lines.push(`  ${style.name}: ${getTextStyleSummary(style)} (${style.coverage}% szöveg, ${style.count} elem)`);
+        lines.push(`      "${style.sample}" - ${style.selectors.join(', ')}`);
+        if (style.responsive) {
+          getResponsiveSizeLines(style.responsive).forEach(line => lines.push(`      ${line}`));
+        }
+        if (style.features && Object.keys(style.features).length) {
+          lines.push(`      OpenType: ${getFontFeatureSummary(style.features)}`);
+        }
+        if (style.renderedFont && style.renderedFont.fallback) {
+          lines.push(`      ⚠ ${getRenderedFontNote(style.renderedFont)}`);
+        }
+      });
+      lines.push('');
+    }
+
+    if (data.typography.variableFonts && data.typography.variableFonts.length > 0) {
+      lines.push('Variable fontok:');
+      data.typography.variableFonts.forEach(font => {
+        lines.push(`  ${font.family}`);
+        font.axes.forEach(axis => {
+          const declared = font.ranges[axis.tag] ? ` (@font-face: ${font.ranges[axis.tag]})` : '';
+          lines.push(`    ${axis.tag}: ${axis.min === axis.max ? axis.min : `${axis.min} – ${axis.max}`} [${axis.values.join(', ')}]${declared}`);
+        });
+      });
+      lines.push('');
+    }
+
     if (data.typography.headings) {
       lines.push('Heading Stílusok:');
       ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
@@ -648,6 +2328,35 @@ function generateReport(data) {
     lines.push('');
   }
 
+  // Web fonts
+  lines.push('🔤 WEB FONTOK');
+  lines.push(subDivider);
+  if (data.fonts && data.fonts.length > 0) {
+    data.fonts.forEach(font => {
+      lines.push(`${font.family} - ${getFontProviderLabel(font.provider)}${font.used ? '' : ' (nem használt)'}`);
+      font.faces.forEach(face => {
+        const sources = face.sources.map(source => source.local ? `local(${source.local})` : `${source.url}${source.format ? ` [${source.format}]` : ''}`);
+        const details = [
+          `weight ${face.weight}`,
+          face.style,
+          `font-display: ${face.display}`,
+          face.unicodeRange ? `unicode-range: ${face.unicodeRange}` : null,
+          face.status ? `állapot: ${face.status}` : null
+        ].filter(Boolean).join(', ');
+        lines.push(`  - ${details}`);
+        sources.forEach(source => lines.push(`      ${source}`));
+      });
+      if (font.snippet) {
+        lines.push('  Beágyazás:');
+        (font.snippet.link || font.snippet.css).split('\n').forEach(line => lines.push(`    ${line}`));
+      }
+      lines.push('');
+    });
+  } else {
+    lines.push('Nincs font információ');
+    lines.push('');
+  }
+
   // Images
   lines.push('🖼️ KÉPEK & LOGÓK');
   lines.push(subDivider);
@@ -656,6 +2365,25 @@ function generateReport(data) {
     if (data.images.logo) {
       lines.push(`Logó: ${data.images.logo.url}`);
       lines.push(`  Méret: ${data.images.logo.width || '?'}×${data.images.logo.height || '?'}px`);
+      if (data.images.logo.colors && data.images.logo.colors.length > 0) {
+        lines.push(`  Színek: ${formatImageColors(data.images.logo.colors)}`);
+      }
+      lines.push('');
+    }
+
+    if (data.images.brand && (data.images.brand.icons.length > 0 || data.images.brand.themeColors.length > 0)) {
+      const brand = data.images.brand;
+      lines.push(`Brand ikonok (${brand.icons.length} db):`);
+      if (brand.manifest) {
+        lines.push(`  Web manifest: ${brand.manifest.url}${brand.manifest.name ? ` (${brand.manifest.name})` : ''}`);
+      }
+      brand.themeColors.forEach(color => {
+        lines.push(`  Téma szín: ${color.hex} - ${color.source}${color.media ? ` (${color.media})` : ''}${color.active ? '' : ' [most nem aktív]'}`);
+      });
+      brand.icons.forEach(icon => {
+        lines.push(`  - ${icon.label}: ${icon.url}`);
+        lines.push(`    Méret: ${icon.sizes || '?'}${icon.color ? ` | Szín: ${icon.color}` : ''}`);
+      });
       lines.push('');
     }
 
@@ -664,6 +2392,9 @@ function generateReport(data) {
       data.images.all.forEach(img => {
         lines.push(`  - ${img.url}`);
         lines.push(`    Méret: ${img.width || '?'}×${img.height || '?'}px`);
+        if (img.colors && img.colors.length > 0) {
+          lines.push(`    Színek: ${formatImageColors(img.colors)}`);
+        }
       });
       lines.push('');
     }
@@ -5,180 +5,433 @@
  */
 
 const ColorAnalyzer = {
+  /**
+   * Közel azonos színek összevonási küszöbe (OKLab ΔE × 100)
+   */
+  MERGE_THRESHOLD: 2.5,
+
+  /**
+   * Tónusskála lépcsők és a hozzájuk tartozó cél OKLab világosság
+   */
+  SCALE_STEPS: [
+    { step: 50, lightness: 0.97 },
+    { step: 100, lightness: 0.93 },
+    { step: 200, lightness: 0.87 },
+    { step: 300, lightness: 0.79 },
+    { step: 400, lightness: 0.70 },
+    { step: 500, lightness: 0.62 },
+    { step: 600, lightness: 0.54 },
+    { step: 700, lightness: 0.46 },
+    { step: 800, lightness: 0.38 },
+    { step: 900, lightness: 0.30 }
+  ],
+
+  /**
+   * Színcsaládok OKLCH hue tartományai (fokban)
+   */
+  HUE_FAMILIES: [
+    { name: 'orange', from: 45, to: 80 },
+    { name: 'yellow', from: 80, to: 115 },
+    { name: 'green', from: 115, to: 170 },
+    { name: 'teal', from: 170, to: 215 },
+    { name: 'blue', from: 215, to: 275 },
+    { name: 'purple', from: 275, to: 315 },
+    { name: 'pink', from: 315, to: 358 }
+  ],
+
+  /**
+   * Gomb jellegű elemek (háttérük Primary, szövegük Accent jelölt)
+   */
+  BUTTON_SELECTOR: 'button, [type="submit"], [type="button"], .btn, .button, [class*="btn-"], [class*="button-"]',
+
+  /**
+   * Logó színek súlya (100%-os részarány esetén), Primary jelöltként
+   */
+  LOGO_WEIGHT: 20,
+
+  /**
+   * Brand téma színek (theme-color, mask-icon, web manifest) súlya
+   */
+  BRAND_WEIGHT: 10,
+
   /**
    * Fő elemző függvény
+   * @param {Object} options - { mergeThreshold, gradients, logoColors, brandColors } küszöb felülírás, GradientAnalyzer eredmény,
+   *   a logó domináns színei (ImageAnalyzer.extractColors) és a brand téma színek (ImageAnalyzer.getBrandIcons)
    * @returns {Array} Design system színek kategóriákkal
    */
-  analyze() {
-    const colors = {
+  analyze(options = {}) {
+    return this.complete(this.collect(options), options);
+  },
+
+  /**
+   * Stylesheet, computed style és gradient színek gyűjtése kategória Map-ekbe (összevonás nélkül)
+   * @param {Object} options - { gradients }
+   */
+  collect(options = {}) {
+    const colors = this.createColorMaps();
+
+    // 1. StyleSheets API - CSS-ben definiált színek
+    this.analyzeStyleSheets(colors);
+
+    // 2. Kulcs elemek computed styles (body, buttons, links, headings)
+    this.analyzeKeyElements(colors);
+
+    // 3. Gradient színstopok
+    if (options.gradients) {
+      this.analyzeGradients(colors, options.gradients);
+    }
+
+    return colors;
+  },
+
+  /**
+   * Logó és brand színek hozzáadása a collect() eredményéhez, majd a paletta összeállítása
+   * (a content script a képek letöltése alatt már a többi elemzőt futtatja)
+   * @param {Object} options - { mergeThreshold, logoColors, brandColors }
+   */
+  complete(colors, options = {}) {
+    // 4. Logó színek Primary jelöltként
+    if (options.logoColors) {
+      this.analyzeLogoColors(colors, options.logoColors);
+    }
+
+    // 5. Brand téma színek (theme-color, mask-icon, web manifest)
+    if (options.brandColors) {
+      this.analyzeBrandColors(colors, options.brandColors);
+    }
+
+    // 6. Összevonás, összesítés és kategorizálás
+    return this.summarize(colors, options.mergeThreshold ?? this.MERGE_THRESHOLD);
+  },
+
+  /**
+   * Üres kategória Map-ek
+   */
+  createColorMaps() {
+    return {
       background: new Map(),
       foreground: new Map(),
       primary: new Map(),
       accent: new Map(),
       border: new Map()
     };
+  },
 
-    // 1. StyleSheets API - CSS-ben definiált színek
-    this.analyzeStyleSheets(colors);
+  /**
+   * Közel azonos színek összevonása kategóriánként, majd a paletta összeállítása
+   */
+  summarize(colors, threshold = this.MERGE_THRESHOLD) {
+    Object.keys(colors).forEach(key => {
+      colors[key] = this.mergeSimilarColors(colors[key], threshold);
+    });
 
-    // 2. Kulcs elemek computed styles (body, buttons, links, headings)
-    this.analyzeKeyElements(colors);
+    return this.buildColorPalette(colors, threshold);
+  },
 
-    // 3. Összesítés és kategorizálás
-    return this.buildColorPalette(colors);
-  },
-
-  /**
-   * StyleSheets API elemzés
-   */
-  analyzeStyleSheets(colors) {
-    try {
-      for (const sheet of document.styleSheets) {
-        try {
-          // Cross-origin stylesheets nem olvashatók
-          if (!sheet.cssRules) continue;
-
-          for (const rule of sheet.cssRules) {
-            if (!(rule instanceof CSSStyleRule)) continue;
-
-            const style = rule.style;
-            const selector = rule.selectorText || '';
-
-            // Background colors
-            const bgColor = style.backgroundColor;
-            if (bgColor && this.isValidColor(bgColor)) {
-              const hex = this.toHex(bgColor);
-              if (hex) {
-                const category = this.categorizeBySelector(selector, 'background');
-                this.addColor(colors[category], hex, selector);
-              }
-            }
-
-            // Text colors
-            const textColor = style.color;
-            if (textColor && this.isValidColor(textColor)) {
-              const hex = this.toHex(textColor);
-              if (hex) {
-                const category = this.categorizeBySelector(selector, 'text');
-                this.addColor(colors[category], hex, selector);
-              }
-            }
-
-            // Border colors
-            const borderColor = style.borderColor || style.borderTopColor;
-            if (borderColor && this.isValidColor(borderColor)) {
-              const hex = this.toHex(borderColor);
-              if (hex) {
-                this.addColor(colors.border, hex, selector);
-              }
-            }
-          }
-        } catch (e) {
-          // Cross-origin stylesheet, skip
+  /**
+   * StyleSheets API elemzés (StyleSheetReader kilapított szabályain)
+   * @param {Function} filter - Szabály szűrő, alapból csak az aktuálisan érvényes szabályok
+   */
+  analyzeStyleSheets(colors, filter = entry => this.isActiveRule(entry)) {
+    for (const entry of window.StyleSheetReader.getStyleRules()) {
+      if (!filter(entry)) continue;
+
+      const { rule, selector } = entry;
+      const style = rule.style;
+
+      // Background colors
+      const bgColor = style.backgroundColor;
+      if (bgColor && this.isValidColor(bgColor)) {
+        const hex = this.toHex(bgColor);
+        if (hex) {
+          const category = this.categorizeBySelector(selector, 'background');
+          this.addColor(colors[category], hex, selector, 1, this.getOriginalNotation(bgColor));
+        }
+      }
+
+      // Text colors
+      const textColor = style.color;
+      if (textColor && this.isValidColor(textColor)) {
+        const hex = this.toHex(textColor);
+        if (hex) {
+          const category = this.categorizeBySelector(selector, 'text');
+          this.addColor(colors[category], hex, selector, 1, this.getOriginalNotation(textColor));
+        }
+      }
+
+      // Border colors
+      const borderColor = style.borderColor || style.borderTopColor;
+      if (borderColor && this.isValidColor(borderColor)) {
+        const hex = this.toHex(borderColor);
+        if (hex) {
+          this.addColor(colors.border, hex, selector, 1, this.getOriginalNotation(borderColor));
         }
       }
-    } catch (e) {
-      console.log('StyleSheets analysis skipped:', e.message);
     }
   },
 
+  /**
+   * Ellenőrzi hogy a szabály az aktuális oldalon érvényes-e
+   * (teljesülő @media feltétel, nem inaktív téma selector)
+   */
+  isActiveRule(entry) {
+    if (!window.StyleSheetReader.isActive(entry)) return false;
+    return !(window.ThemeAnalyzer && window.ThemeAnalyzer.isInactiveThemeRule(entry.selector));
+  },
+
   /**
    * Kulcs elemek elemzése computed styles-szal
+   * Háttérszínek: látható festett terület, szövegszínek: látható karakterszám alapján súlyozva
    */
   analyzeKeyElements(colors) {
-    // Body background és text
-    const body = document.body;
-    if (body) {
-      const bodyStyles = window.getComputedStyle(body);
-      const bgHex = this.toHex(bodyStyles.backgroundColor);
-      const textHex = this.toHex(bodyStyles.color);
-
-      if (bgHex && bgHex !== '#FFFFFF' && bgHex !== '#000000') {
-        this.addColor(colors.background, bgHex, 'body', 1000);
-      } else if (bgHex) {
-        this.addColor(colors.background, bgHex, 'body', 500);
-      }
+    this.analyzePaintedAreas(colors);
+    this.analyzeTextColors(colors);
+    this.analyzeBorders(colors);
+  },
 
-      if (textHex) {
-        this.addColor(colors.foreground, textHex, 'body', 1000);
-      }
+  /**
+   * Háttérszínek súlya a látható festett terület (az oldal felületének %-a)
+   * A beágyazott, saját hátterű elem területe levonódik a legközelebbi festett őséből
+   */
+  analyzePaintedAreas(colors) {
+    const surface = this.getPageSurface();
+    if (surface.area === 0) return;
+
+    const regions = new Map();
+
+    // A html (vagy ha az átlátszó, a body) háttere a teljes oldalt festi
+    const root = [document.documentElement, document.body]
+      .find(element => element && this.toHex(window.getComputedStyle(element).backgroundColor));
+    if (root) {
+      regions.set(root, {
+        hex: this.toHex(window.getComputedStyle(root).backgroundColor),
+        area: surface.area,
+        category: 'background',
+        source: root.tagName.toLowerCase()
+      });
     }
 
-    // HTML background (ha van)
-    const html = document.documentElement;
-    if (html) {
-      const htmlStyles = window.getComputedStyle(html);
-      const bgHex = this.toHex(htmlStyles.backgroundColor);
-      if (bgHex && this.isValidColor(htmlStyles.backgroundColor)) {
-        this.addColor(colors.background, bgHex, 'html', 800);
-      }
-    }
+    [document.body, ...document.querySelectorAll('body *')].forEach(element => {
+      if (!element || element === root) return;
 
-    // Primary/Accent: gombok, linkek
-    const buttons = document.querySelectorAll('button, [type="submit"], [type="button"], .btn, .button, [class*="btn-"], [class*="button-"]');
-    buttons.forEach(btn => {
-      const styles = window.getComputedStyle(btn);
-      const bgHex = this.toHex(styles.backgroundColor);
-      const textHex = this.toHex(styles.color);
+      const styles = window.getComputedStyle(element);
+      const hex = this.toHex(styles.backgroundColor);
+      if (!hex || !this.isRendered(element, styles)) return;
 
-      if (bgHex && this.isValidColor(styles.backgroundColor) && !this.isNeutral(bgHex)) {
-        this.addColor(colors.primary, bgHex, 'button', 100);
-      }
-      if (textHex && !this.isNeutral(textHex)) {
-        this.addColor(colors.accent, textHex, 'button-text', 50);
-      }
-    });
+      const area = this.getVisibleArea(element, surface);
+      if (area === 0) return;
+
+      const isButton = element.matches(this.BUTTON_SELECTOR);
+      regions.set(element, {
+        hex,
+        area,
+        category: isButton && !this.isNeutral(hex) ? 'primary' : 'background',
+        source: isButton ? 'button' : element.tagName.toLowerCase()
+      });
 
-    // Links - accent color
-    const links = document.querySelectorAll('a[href]');
-    const linkColors = new Set();
-    links.forEach(link => {
-      const styles = window.getComputedStyle(link);
-      const hex = this.toHex(styles.color);
-      if (hex && !this.isNeutral(hex)) {
-        linkColors.add(hex);
+      // Átlátszatlan háttér eltakarja az ős hátterét
+      const parent = this.findPaintedAncestor(element, regions);
+      if (parent && this.getAlpha(hex) === 1) {
+        parent.area = Math.max(0, parent.area - area);
       }
     });
-    linkColors.forEach(hex => {
-      this.addColor(colors.accent, hex, 'link', 80);
+
+    regions.forEach(region => {
+      const share = region.area / surface.area * 100;
+      if (share <= 0) return;
+      this.addColor(colors[region.category], region.hex, region.source, share * 10, null, { area: share, text: 0 });
     });
+  },
+
+  /**
+   * Szövegszínek súlya a látható karakterszám (az oldal szövegének %-a)
+   * Nem neutrális link és gomb szöveg accent, minden más foreground
+   */
+  analyzeTextColors(colors) {
+    if (!document.body) return;
+
+    const counts = new Map();
+    const parents = new Map();
+    const clipped = new Map();
+    const surface = this.getPageSurface();
+    let total = 0;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const length = node.textContent.trim().length;
+      const parent = node.parentElement;
+      if (length === 0 || !parent || parent.closest('script, style, noscript, template')) continue;
+
+      if (!parents.has(parent)) {
+        parents.set(parent, this.getTextColor(parent, surface, clipped));
+      }
+      const color = parents.get(parent);
+      if (!color) continue;
 
-    // Headings - foreground variants
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-    headings.forEach(h => {
-      const styles = window.getComputedStyle(h);
-      const hex = this.toHex(styles.color);
-      if (hex) {
-        this.addColor(colors.foreground, hex, h.tagName.toLowerCase(), 60);
+      const key = `${color.category}|${color.hex}|${color.source}`;
+      if (!counts.has(key)) {
+        counts.set(key, { ...color, chars: 0 });
       }
+      counts.get(key).chars += length;
+      total += length;
+    }
+
+    counts.forEach(entry => {
+      const share = entry.chars / total * 100;
+      this.addColor(colors[entry.category], entry.hex, entry.source, share * 10, null, { area: 0, text: share });
     });
+  },
+
+  /**
+   * Szöveg szülő elemének színe és kategóriája; nem látható elem → null
+   * @param {Map} clipped - isClipped() gyorsítótár az ősökhöz
+   */
+  getTextColor(element, surface, clipped) {
+    const styles = window.getComputedStyle(element);
+    const hex = this.toHex(styles.color);
+    if (!hex || !this.isRendered(element, styles) || element.getClientRects().length === 0) return null;
 
-    // Main containers - background
+    // Képernyőn kívüli (left: -9999px) vagy vágott (.sr-only) szöveg nem látszik
+    if (this.getVisibleArea(element, surface) === 0 || this.isClipped(element, clipped)) return null;
+
+    if (!this.isNeutral(hex)) {
+      if (element.closest('a[href]')) return { hex, category: 'accent', source: 'link' };
+      if (element.closest(this.BUTTON_SELECTOR)) return { hex, category: 'accent', source: 'button-text' };
+    }
+
+    const heading = element.closest('h1, h2, h3, h4, h5, h6');
+    return { hex, category: 'foreground', source: heading ? heading.tagName.toLowerCase() : 'text' };
+  },
+
+  /**
+   * Konténer és űrlap mező keretek
+   */
+  analyzeBorders(colors) {
     const containers = document.querySelectorAll('main, article, section, .container, .wrapper, .content, [class*="card"], [class*="modal"], header, footer, nav');
     containers.forEach(el => {
       const styles = window.getComputedStyle(el);
-      const bgHex = this.toHex(styles.backgroundColor);
-      if (bgHex && this.isValidColor(styles.backgroundColor)) {
-        this.addColor(colors.background, bgHex, el.tagName.toLowerCase(), 40);
-      }
+      if (!this.isRendered(el, styles)) return;
 
       const borderHex = this.toHex(styles.borderTopColor);
-      if (borderHex && this.isValidColor(styles.borderTopColor) && parseFloat(styles.borderTopWidth) > 0) {
+      if (borderHex && parseFloat(styles.borderTopWidth) > 0) {
         this.addColor(colors.border, borderHex, 'container-border', 30);
       }
     });
 
-    // Input fields - borders
     const inputs = document.querySelectorAll('input, textarea, select');
     inputs.forEach(input => {
       const styles = window.getComputedStyle(input);
+      if (!this.isRendered(input, styles)) return;
+
       const borderHex = this.toHex(styles.borderTopColor);
-      if (borderHex && this.isValidColor(styles.borderTopColor)) {
+      if (borderHex) {
         this.addColor(colors.border, borderHex, 'input', 20);
       }
     });
   },
 
+  /**
+   * Az oldal teljes (görgethető) felülete
+   */
+  getPageSurface() {
+    const root = document.documentElement;
+    const width = Math.max(root.scrollWidth, window.innerWidth);
+    const height = Math.max(root.scrollHeight, window.innerHeight);
+    return { width, height, area: width * height };
+  },
+
+  /**
+   * Elem látható területe az oldal felületére vágva (képernyőn kívüli rész nem számít)
+   */
+  getVisibleArea(element, surface) {
+    const rect = element.getBoundingClientRect();
+    const left = Math.max(0, rect.left + window.scrollX);
+    const top = Math.max(0, rect.top + window.scrollY);
+    const right = Math.min(surface.width, rect.right + window.scrollX);
+    const bottom = Math.min(surface.height, rect.bottom + window.scrollY);
+
+    return Math.max(0, right - left) * Math.max(0, bottom - top);
+  },
+
+  /**
+   * Az elem vagy egy őse 1×1-es (vagy kisebb) vágott doboz, illetve nullára vágott clip/clip-path (pl. .sr-only)
+   */
+  isClipped(element, cache) {
+    if (!element || element === document.body) return false;
+    if (cache.has(element)) return cache.get(element);
+
+    const rect = element.getBoundingClientRect();
+    const styles = window.getComputedStyle(element);
+    const tiny = rect.width <= 1 && rect.height <= 1 &&
+      (styles.overflow !== 'visible' || styles.clip !== 'auto' || styles.clipPath !== 'none');
+    const zeroClip = /^rect\((0px,?\s*){3}0px\)$/.test(styles.clip) || /^inset\((50|100)%\)$/.test(styles.clipPath);
+
+    const result = tiny || zeroClip || this.isClipped(element.parentElement, cache);
+    cache.set(element, result);
+    return result;
+  },
+
+  /**
+   * Megjelenik-e az elem (display: none, visibility: hidden, opacity: 0 - ősöket is beleértve)
+   */
+  isRendered(element, styles) {
+    if (typeof element.checkVisibility === 'function') {
+      return element.checkVisibility({ opacityProperty: true, visibilityProperty: true });
+    }
+    return styles.display !== 'none' && styles.visibility === 'visible' && parseFloat(styles.opacity) > 0;
+  },
+
+  /**
+   * Legközelebbi ős, amelynek saját háttere van
+   */
+  findPaintedAncestor(element, regions) {
+    let parent = element.parentElement;
+    while (parent) {
+      if (regions.has(parent)) return regions.get(parent);
+      parent = parent.parentElement;
+    }
+    return null;
+  },
+
+  /**
+   * Gradient színstopok hozzáadása a palettához
+   * Gombon lévő gradient primary, minden más background; súly renderelt elemenként 10, szabályonként 1
+   */
+  analyzeGradients(colors, gradients) {
+    gradients.forEach(gradient => {
+      const category = this.categorizeBySelector(gradient.sources, 'background');
+
+      gradient.stops.forEach(stop => {
+        if (stop.hex) {
+          this.addColor(colors[category], stop.hex, 'gradient', 10 * gradient.count + gradient.rules);
+        }
+      });
+    });
+  },
+
+  /**
+   * Logó nem semleges színei Primary jelöltként, részarányuk szerint súlyozva
+   */
+  analyzeLogoColors(colors, logoColors) {
+    logoColors.forEach(color => {
+      if (!this.isNeutral(color.hex)) {
+        this.addColor(colors.primary, color.hex, 'logo', this.LOGO_WEIGHT * color.share / 100);
+      }
+    });
+  },
+
+  /**
+   * Brand téma színek: a manifest background_color és a semleges színek background, a többi Primary jelölt
+   */
+  analyzeBrandColors(colors, brandColors) {
+    brandColors.forEach(color => {
+      const isBackground = color.source === 'manifest background_color' || this.isNeutral(color.hex);
+      this.addColor(colors[isBackground ? 'background' : 'primary'], color.hex, color.source, this.BRAND_WEIGHT);
+    });
+  },
+
   /**
    * Selector alapján kategorizálás
    */
@@ -205,29 +458,151 @@ const ColorAnalyzer = {
 
   /**
    * Szín hozzáadása Map-hez
+   * @param {string} original - Eredeti CSS érték (pl. oklch(...)), ha nem HEX-ben volt megadva
+   * @param {Object} coverage - { area, text } az oldal felületének / szövegének %-ában
    */
-  addColor(map, hex, source, weight = 1) {
+  addColor(map, hex, source, weight = 1, original = null, coverage = null) {
     if (!hex) return;
 
-    if (map.has(hex)) {
-      const existing = map.get(hex);
-      existing.weight += weight;
-      existing.sources.add(source);
-    } else {
+    if (!map.has(hex)) {
       map.set(hex, {
         hex,
-        weight,
-        sources: new Set([source])
+        weight: 0,
+        sources: new Set(),
+        original: null,
+        area: 0,
+        text: 0
       });
     }
+
+    const entry = map.get(hex);
+    entry.weight += weight;
+    entry.sources.add(source);
+    entry.original = entry.original || original;
+    if (coverage) {
+      entry.area += coverage.area;
+      entry.text += coverage.text;
+    }
+  },
+
+  /**
+   * Perceptuálisan közeli színek összevonása, a súlyok összeadódnak
+   * A legnagyobb súlyú szín marad a csoport reprezentánsa
+   */
+  mergeSimilarColors(map, threshold) {
+    const merged = new Map();
+    const sorted = Array.from(map.values()).sort((a, b) => b.weight - a.weight);
+
+    sorted.forEach(item => {
+      const target = Array.from(merged.values())
+        .find(existing => this.getColorDistance(existing.hex, item.hex) <= threshold);
+
+      if (target) {
+        target.weight += item.weight;
+        target.area += item.area;
+        target.text += item.text;
+        item.sources.forEach(source => target.sources.add(source));
+        target.variants.add(item.hex);
+        (item.variants || []).forEach(hex => target.variants.add(hex));
+      } else {
+        merged.set(item.hex, {
+          ...item,
+          sources: new Set(item.sources),
+          variants: new Set(item.variants || [])
+        });
+      }
+    });
+
+    return merged;
+  },
+
+  /**
+   * Tónusskálák (50-900) építése azonos színcsaládba tartozó színekből
+   * @param {Array} palette - buildColorPalette() eredménye
+   * @returns {Array} Színcsaládok lépcsőkkel, világostól sötétig
+   */
+  buildTonalScales(palette) {
+    const families = new Map();
+
+    (palette || []).forEach(color => {
+      const [lightness, chroma, hue] = this.hexToOklch(color.hex);
+      const family = this.getHueFamily(chroma, hue);
+
+      if (!families.has(family)) {
+        families.set(family, []);
+      }
+      families.get(family).push({ hex: color.hex, category: color.category, lightness });
+    });
+
+    return Array.from(families.entries())
+      .map(([name, shades]) => ({
+        name,
+        shades: this.assignScaleSteps(shades)
+      }))
+      .sort((a, b) => b.shades.length - a.shades.length);
+  },
+
+  /**
+   * Lépcső hozzárendelés világosság alapján, monoton növekvő sorrendben, lépcsőnként legfeljebb egy szín
+   * Több szín esetén a szomszédjához legközelebbi világosságú szín kimarad
+   */
+  assignScaleSteps(shades) {
+    const steps = this.SCALE_STEPS;
+    const sorted = shades.slice().sort((a, b) => b.lightness - a.lightness);
+
+    while (sorted.length > steps.length) {
+      let closest = 1;
+      for (let i = 2; i < sorted.length; i++) {
+        if (sorted[i - 1].lightness - sorted[i].lightness < sorted[closest - 1].lightness - sorted[closest].lightness) {
+          closest = i;
+        }
+      }
+      sorted.splice(closest, 1);
+    }
+
+    let previousIndex = -1;
+
+    return sorted
+      .map((shade, position) => {
+        // A sötétebb színeknek is maradjon lépcső
+        const lastIndex = steps.length - (sorted.length - position);
+        let bestIndex = previousIndex + 1;
+        let bestDiff = Infinity;
+
+        for (let index = previousIndex + 1; index <= lastIndex; index++) {
+          const diff = Math.abs(steps[index].lightness - shade.lightness);
+          if (diff < bestDiff) {
+            bestDiff = diff;
+            bestIndex = index;
+          }
+        }
+
+        previousIndex = bestIndex;
+
+        return {
+          step: steps[bestIndex].step,
+          hex: shade.hex,
+          category: shade.category
+        };
+      });
+  },
+
+  /**
+   * Színcsalád név OKLCH chroma és hue alapján
+   */
+  getHueFamily(chroma, hue) {
+    if (chroma < 0.03) return 'gray';
+
+    const family = this.HUE_FAMILIES.find(({ from, to }) => hue >= from && hue < to);
+    return family ? family.name : 'red';
   },
 
   /**
    * Végső paletta összeállítása
    */
-  buildColorPalette(colors) {
+  buildColorPalette(colors, threshold = this.MERGE_THRESHOLD) {
     const result = [];
-    const seen = new Set();
+    const seen = [];
 
     // Kategória sorrend és címkék
     const categories = [
@@ -244,14 +619,22 @@ const ColorAnalyzer = {
         .sort((a, b) => b.weight - a.weight);
 
       sorted.forEach(item => {
-        if (seen.has(item.hex)) return;
-        seen.add(item.hex);
+        // Korábbi kategóriában már szereplő (vagy közeli) szín kihagyása
+        if (seen.some(hex => this.getColorDistance(hex, item.hex) <= threshold)) return;
+        seen.push(item.hex);
 
         result.push({
           hex: item.hex,
           category: label,
           weight: item.weight,
-          sources: Array.from(item.sources).slice(0, 3).join(', ')
+          sources: Array.from(item.sources).slice(0, 3).join(', '),
+          variants: Array.from(item.variants || []).filter(hex => hex !== item.hex),
+          original: item.original || null,
+          logo: item.sources.has('logo'),
+          match: window.ColorNames.match(item.hex),
+          coverage: item.area > 0 || item.text > 0
+            ? { area: Math.round(item.area * 10) / 10, text: Math.round(item.text * 10) / 10 }
+            : null
         });
       });
     });
@@ -261,14 +644,19 @@ const ColorAnalyzer = {
   },
 
   /**
-   * Ellenőrzi hogy valid szín-e (nem transparent, nem rgba(0,0,0,0))
+   * Eredeti szín érték, ha nem HEX/rgb()/nevesített jelölésű (pl. oklch(), color(display-p3 ...)), különben null
+   */
+  getOriginalNotation(color) {
+    const parsed = window.ColorModel.parse(color);
+    return parsed && !['hex', 'rgb', 'named'].includes(parsed.notation) ? parsed.original : null;
+  },
+
+  /**
+   * Ellenőrzi hogy értelmezhető, nem teljesen átlátszó szín-e (var(), currentcolor, transparent → false)
    */
   isValidColor(color) {
-    if (!color) return false;
-    if (color === 'transparent') return false;
-    if (color === 'rgba(0, 0, 0, 0)') return false;
-    if (color === 'initial' || color === 'inherit') return false;
-    return true;
+    const parsed = window.ColorModel.parse(color);
+    return !!parsed && parsed.alpha > 0;
   },
 
   /**
@@ -289,93 +677,44 @@ const ColorAnalyzer = {
   },
 
   /**
-   * Convert any color format to HEX
+   * Bármilyen CSS szín HEX formára (ColorModel); áttetsző szín #RRGGBBAA, teljesen átlátszó null
    */
   toHex(color) {
-    if (!color) return null;
-
-    // Handle rgb/rgba
-    if (color.startsWith('rgb')) {
-      const match = color.match(/rgba?\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-      if (match) {
-        const r = parseInt(match[1]);
-        const g = parseInt(match[2]);
-        const b = parseInt(match[3]);
-        return '#' + [r, g, b].map(x => {
-          const hex = x.toString(16);
-          return hex.length === 1 ? '0' + hex : hex;
-        }).join('').toUpperCase();
-      }
-    }
-
-    // Handle hsl/hsla
-    if (color.startsWith('hsl')) {
-      const match = color.match(/hsla?\s*\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%/);
-      if (match) {
-        const h = parseFloat(match[1]) / 360;
-        const s = parseFloat(match[2]) / 100;
-        const l = parseFloat(match[3]) / 100;
-        const rgb = this.hslToRgb(h, s, l);
-        return '#' + rgb.map(x => {
-          const hex = Math.round(x).toString(16);
-          return hex.length === 1 ? '0' + hex : hex;
-        }).join('').toUpperCase();
-      }
-    }
+    const parsed = window.ColorModel.parse(color);
+    if (!parsed || parsed.alpha === 0) return null;
+    return window.ColorModel.toHex(parsed);
+  },
 
-    // Handle hex
-    if (color.startsWith('#')) {
-      let hex = color.toUpperCase();
-      if (hex.length === 4) {
-        hex = '#' + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
-      }
-      if (hex.length === 9) {
-        hex = hex.substring(0, 7);
-      }
-      return hex;
-    }
+  /**
+   * Perceptuális távolság két HEX szín között (OKLab ΔE × 100)
+   */
+  getColorDistance(hexA, hexB) {
+    if (hexA === hexB) return 0;
+    const [l1, a1, b1] = this.hexToOklab(hexA);
+    const [l2, a2, b2] = this.hexToOklab(hexB);
+    const alphaDiff = this.getAlpha(hexA) - this.getAlpha(hexB);
+    return Math.sqrt((l1 - l2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2 + alphaDiff ** 2) * 100;
+  },
 
-    // Handle named colors using canvas
-    try {
-      const ctx = document.createElement('canvas').getContext('2d');
-      ctx.fillStyle = color;
-      const computed = ctx.fillStyle;
-      if (computed.startsWith('#')) {
-        return computed.toUpperCase();
-      }
-      if (computed.startsWith('rgb')) {
-        return this.toHex(computed);
-      }
-    } catch (e) {
-      // Ignore
-    }
+  /**
+   * HEX to OKLab conversion
+   */
+  hexToOklab(hex) {
+    return window.ColorModel.toOklab(hex);
+  },
 
-    return null;
+  /**
+   * HEX to OKLCH conversion, hue fokban
+   */
+  hexToOklch(hex) {
+    return window.ColorModel.toOklch(hex);
   },
 
   /**
-   * HSL to RGB conversion
-   */
-  hslToRgb(h, s, l) {
-    let r, g, b;
-    if (s === 0) {
-      r = g = b = l;
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
-    }
-    return [r * 255, g * 255, b * 255];
+   * Alfa érték (0-1) #RRGGBBAA HEX-ből; 6 jegyű HEX → 1
+   */
+  getAlpha(hex) {
+    return hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1;
   }
 };
 
@@ -0,0 +1,612 @@
+/**
+ * Color Model - Közös szín modell modul
+ * Minden CSS szín szintaxist egy közös sRGB alakra hoz (alfával és az eredeti jelöléssel együtt):
+ * hex (3/4/6/8 jegy), rgb()/hsl()/hwb() vesszős és szóközös alakban, lab(), lch(), oklab(), oklch(),
+ * color() (srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb, rec2020, xyz) és nevesített színek.
+ * A popup is betölti, hogy a színeket HEX, RGB, HSL és OKLCH formában mutathassa.
+ */
+
+const ColorModel = {
+  /**
+   * CSS nevesített színek
+   */
+  NAMED_COLORS: {
+    aliceblue: '#F0F8FF', antiquewhite: '#FAEBD7', aqua: '#00FFFF', aquamarine: '#7FFFD4',
+    azure: '#F0FFFF', beige: '#F5F5DC', bisque: '#FFE4C4', black: '#000000',
+    blanchedalmond: '#FFEBCD', blue: '#0000FF', blueviolet: '#8A2BE2', brown: '#A52A2A',
+    burlywood: '#DEB887', cadetblue: '#5F9EA0', chartreuse: '#7FFF00', chocolate: '#D2691E',
+    coral: '#FF7F50', cornflowerblue: '#6495ED', cornsilk: '#FFF8DC', crimson: '#DC143C',
+    cyan: '#00FFFF', darkblue: '#00008B', darkcyan: '#008B8B', darkgoldenrod: '#B8860B',
+    darkgray: '#A9A9A9', darkgreen: '#006400', darkgrey: '#A9A9A9', darkkhaki: '#BDB76B',
+    darkmagenta: '#8B008B', darkolivegreen: '#556B2F', darkorange: '#FF8C00', darkorchid: '#9932CC',
+    darkred: '#8B0000', darksalmon: '#E9967A', darkseagreen: '#8FBC8F', darkslateblue: '#483D8B',
+    darkslategray: '#2F4F4F', darkslategrey: '#2F4F4F', darkturquoise: '#00CED1', darkviolet: '#9400D3',
+    deeppink: '#FF1493', deepskyblue: '#00BFFF', dimgray: '#696969', dimgrey: '#696969',
+    dodgerblue: '#1E90FF', firebrick: '#B22222', floralwhite: '#FFFAF0', forestgreen: '#228B22',
+    fuchsia: '#FF00FF', gainsboro: '#DCDCDC', ghostwhite: '#F8F8FF', gold: '#FFD700',
+    goldenrod: '#DAA520', gray: '#808080', green: '#008000', greenyellow: '#ADFF2F',
+    grey: '#808080', honeydew: '#F0FFF0', hotpink: '#FF69B4', indianred: '#CD5C5C',
+    indigo: '#4B0082', ivory: '#FFFFF0', khaki: '#F0E68C', lavender: '#E6E6FA',
+    lavenderblush: '#FFF0F5', lawngreen: '#7CFC00', lemonchiffon: '#FFFACD', lightblue: '#ADD8E6',
+    lightcoral: '#F08080', lightcyan: '#E0FFFF', lightgoldenrodyellow: '#FAFAD2', lightgray: '#D3D3D3',
+    lightgreen: '#90EE90', lightgrey: '#D3D3D3', lightpink: '#FFB6C1', lightsalmon: '#FFA07A',
+    lightseagreen: '#20B2AA', lightskyblue: '#87CEFA', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#B0C4DE', lightyellow: '#FFFFE0', lime: '#00FF00', limegreen: '#32CD32',
+    linen: '#FAF0E6', magenta: '#FF00FF', maroon: '#800000', mediumaquamarine: '#66CDAA',
+    mediumblue: '#0000CD', mediumorchid: '#BA55D3', mediumpurple: '#9370DB', mediumseagreen: '#3CB371',
+    mediumslateblue: '#7B68EE', mediumspringgreen: '#00FA9A', mediumturquoise: '#48D1CC', mediumvioletred: '#C71585',
+    midnightblue: '#191970', mintcream: '#F5FFFA', mistyrose: '#FFE4E1', moccasin: '#FFE4B5',
+    navajowhite: '#FFDEAD', navy: '#000080', oldlace: '#FDF5E6', olive: '#808000',
+    olivedrab: '#6B8E23', orange: '#FFA500', orangered: '#FF4500', orchid: '#DA70D6',
+    palegoldenrod: '#EEE8AA', palegreen: '#98FB98', paleturquoise: '#AFEEEE', palevioletred: '#DB7093',
+    papayawhip: '#FFEFD5', peachpuff: '#FFDAB9', peru: '#CD853F', pink: '#FFC0CB',
+    plum: '#DDA0DD', powderblue: '#B0E0E6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#FF0000', rosybrown: '#BC8F8F', royalblue: '#4169E1', saddlebrown: '#8B4513',
+    salmon: '#FA8072', sandybrown: '#F4A460', seagreen: '#2E8B57', seashell: '#FFF5EE',
+    sienna: '#A0522D', silver: '#C0C0C0', skyblue: '#87CEEB', slateblue: '#6A5ACD',
+    slategray: '#708090', slategrey: '#708090', snow: '#FFFAFA', springgreen: '#00FF7F',
+    steelblue: '#4682B4', tan: '#D2B48C', teal: '#008080', thistle: '#D8BFD8',
+    tomato: '#FF6347', turquoise: '#40E0D0', violet: '#EE82EE', wheat: '#F5DEB3',
+    white: '#FFFFFF', whitesmoke: '#F5F5F5', yellow: '#FFFF00', yellowgreen: '#9ACD32'
+  },
+
+  /**
+   * color() színterek: átviteli függvény (gamma → lineáris) és mátrix lineáris RGB → XYZ
+   * A prophoto-rgb D50 fehérpontú, a többi D65
+   */
+  COLOR_SPACES: {
+    'srgb': { transfer: 'srgb', toXyz: null },
+    'srgb-linear': { transfer: 'linear', toXyz: null },
+    'display-p3': {
+      transfer: 'srgb',
+      toXyz: [
+        [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+        [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+        [0, 0.04511338185890264, 1.043944368900976]
+      ]
+    },
+    'a98-rgb': {
+      transfer: 'a98',
+      toXyz: [
+        [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+        [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+        [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+      ]
+    },
+    'prophoto-rgb': {
+      transfer: 'prophoto',
+      d50: true,
+      toXyz: [
+        [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+        [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+        [0, 0, 0.8251046025104601]
+      ]
+    },
+    'rec2020': {
+      transfer: 'rec2020',
+      toXyz: [
+        [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+        [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+        [0, 0.028072693049087428, 1.060985057710791]
+      ]
+    }
+  },
+
+  /**
+   * XYZ (D65) → lineáris sRGB
+   */
+  XYZ_TO_SRGB: [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+
+  /**
+   * Bradford kromatikus adaptáció D50 → D65
+   */
+  D50_TO_D65: [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ],
+
+  /**
+   * D50 referencia fehér (CIE Lab/LCH)
+   */
+  D50_WHITE: [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585],
+
+  /**
+   * Szín értelmezése
+   * @param {string} value - Bármilyen CSS szín érték
+   * @returns {Object|null} { r, g, b (0-255, gamut-on kívül lehet <0 vagy >255), alpha (0-1),
+   *   notation, original, inGamut } vagy null, ha nem értelmezhető (var(), currentcolor, color-mix()...)
+   */
+  parse(value) {
+    if (typeof value !== 'string') return null;
+    const original = value.trim();
+    const text = original.toLowerCase();
+    if (!text) return null;
+
+    let result = null;
+
+    if (text.startsWith('#')) {
+      result = this.parseHex(text);
+    } else if (text === 'transparent') {
+      result = { rgb: [0, 0, 0], alpha: 0, notation: 'named' };
+    } else if (this.NAMED_COLORS[text]) {
+      result = { ...this.parseHex(this.NAMED_COLORS[text].toLowerCase()), notation: 'named' };
+    } else {
+      result = this.parseFunction(text);
+    }
+
+    if (!result) return null;
+
+    const [r, g, b] = result.rgb.map(channel => channel * 255);
+    const inGamut = result.rgb.every(channel => channel >= -0.0005 && channel <= 1.0005);
+
+    return {
+      r,
+      g,
+      b,
+      alpha: this.clamp(result.alpha, 0, 1),
+      notation: result.notation,
+      original,
+      inGamut
+    };
+  },
+
+  /**
+   * HEX szín (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
+   */
+  parseHex(text) {
+    let hex = text.slice(1);
+    if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+
+    if (hex.length <= 4) {
+      hex = hex.split('').map(char => char + char).join('');
+    }
+
+    const channels = hex.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return {
+      rgb: channels.slice(0, 3),
+      alpha: channels.length === 4 ? channels[3] : 1,
+      notation: 'hex'
+    };
+  },
+
+  /**
+   * Szín függvények: rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color()
+   */
+  parseFunction(text) {
+    const match = text.match(/^([a-z-]+)\(\s*(.*)\s*\)$/);
+    if (!match) return null;
+
+    const name = match[1];
+    const body = match[2];
+    if (/\b(var|calc|from|env)\b|\(/.test(body)) return null;
+
+    const args = this.splitArguments(body, name === 'color');
+    if (!args) return null;
+
+    const { channels, alpha } = args;
+    const alphaValue = alpha === null ? 1 : this.parseNumber(alpha, 1);
+    if (alphaValue === null) return null;
+
+    let rgb = null;
+
+    switch (name) {
+      case 'rgb':
+      case 'rgba':
+        if (channels.length !== 3) return null;
+        rgb = channels.map(channel => this.parseNumber(channel, 255));
+        if (rgb.some(channel => channel === null)) return null;
+        rgb = rgb.map(channel => channel / 255);
+        return { rgb, alpha: alphaValue, notation: 'rgb' };
+
+      case 'hsl':
+      case 'hsla': {
+        if (channels.length !== 3) return null;
+        const hue = this.parseHue(channels[0]);
+        const saturation = this.parseNumber(channels[1], 100);
+        const lightness = this.parseNumber(channels[2], 100);
+        if ([hue, saturation, lightness].includes(null)) return null;
+        rgb = this.hslToRgb(hue / 360, saturation / 100, lightness / 100);
+        return { rgb, alpha: alphaValue, notation: 'hsl' };
+      }
+
+      case 'hwb': {
+        if (channels.length !== 3) return null;
+        const hue = this.parseHue(channels[0]);
+        const white = this.parseNumber(channels[1], 100);
+        const black = this.parseNumber(channels[2], 100);
+        if ([hue, white, black].includes(null)) return null;
+        rgb = this.hwbToRgb(hue / 360, white / 100, black / 100);
+        return { rgb, alpha: alphaValue, notation: 'hwb' };
+      }
+
+      case 'lab':
+      case 'lch':
+      case 'oklab':
+      case 'oklch':
+        if (channels.length !== 3) return null;
+        rgb = this.parseLabFamily(name, channels);
+        return rgb ? { rgb, alpha: alphaValue, notation: name } : null;
+
+      case 'color':
+        rgb = this.parseColorSpace(channels);
+        return rgb ? { rgb, alpha: alphaValue, notation: 'color' } : null;
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Függvény argumentumok: vesszős (legacy) vagy szóközös + "/ alfa" alak
+   * @returns {Object|null} { channels, alpha }
+   */
+  splitArguments(body, keepSpace) {
+    if (body.includes(',')) {
+      if (keepSpace) return null;
+      const parts = body.split(',').map(part => part.trim());
+      if (parts.length < 3 || parts.length > 4 || parts.some(part => !part)) return null;
+      return { channels: parts.slice(0, 3), alpha: parts[3] || null };
+    }
+
+    const [channelText, alphaText, ...rest] = body.split('/');
+    if (rest.length > 0) return null;
+
+    return {
+      channels: channelText.trim().split(/\s+/).filter(Boolean),
+      alpha: alphaText !== undefined ? alphaText.trim() : null
+    };
+  },
+
+  /**
+   * Szám vagy százalék; a százalék a megadott skálára vetül (50% → scale / 2), "none" → 0
+   */
+  parseNumber(value, scale) {
+    if (value === 'none') return 0;
+    const match = value.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    return match[2] ? number / 100 * scale : number;
+  },
+
+  /**
+   * Színárnyalat fokban (deg, rad, grad, turn egységgel vagy egység nélkül)
+   */
+  parseHue(value) {
+    if (value === 'none') return 0;
+    const match = value.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    const factors = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+    const degrees = number * factors[match[2] || 'deg'];
+    return ((degrees % 360) + 360) % 360;
+  },
+
+  /**
+   * lab(), lch(), oklab(), oklch() → gamma sRGB (0-1, gamut-on kívül is)
+   */
+  parseLabFamily(name, channels) {
+    const isOk = name.startsWith('ok');
+    const isPolar = name.endsWith('ch');
+
+    const lightness = this.parseNumber(channels[0], isOk ? 1 : 100);
+    const second = this.parseNumber(channels[1], isPolar ? (isOk ? 0.4 : 150) : (isOk ? 0.4 : 125));
+    const third = isPolar ? this.parseHue(channels[2]) : this.parseNumber(channels[2], isOk ? 0.4 : 125);
+    if ([lightness, second, third].includes(null)) return null;
+
+    let a = second;
+    let b = third;
+    if (isPolar) {
+      const radians = third * Math.PI / 180;
+      a = second * Math.cos(radians);
+      b = second * Math.sin(radians);
+    }
+
+    const linear = isOk
+      ? this.oklabToLinear(lightness, a, b)
+      : this.multiply(this.XYZ_TO_SRGB, this.multiply(this.D50_TO_D65, this.labToXyz(lightness, a, b)));
+
+    return linear.map(channel => this.toGamma(channel));
+  },
+
+  /**
+   * color(<színtér> c1 c2 c3) → gamma sRGB
+   */
+  parseColorSpace(channels) {
+    const [space, ...values] = channels;
+    if (values.length !== 3) return null;
+
+    const numbers = values.map(value => this.parseNumber(value, 1));
+    if (numbers.includes(null)) return null;
+
+    if (space === 'xyz' || space === 'xyz-d65' || space === 'xyz-d50') {
+      const xyz = space === 'xyz-d50' ? this.multiply(this.D50_TO_D65, numbers) : numbers;
+      return this.multiply(this.XYZ_TO_SRGB, xyz).map(channel => this.toGamma(channel));
+    }
+
+    const config = this.COLOR_SPACES[space];
+    if (!config) return null;
+
+    const linear = numbers.map(channel => this.toLinear(channel, config.transfer));
+    if (!config.toXyz) {
+      return config.transfer === 'linear' ? linear.map(channel => this.toGamma(channel)) : numbers;
+    }
+
+    let xyz = this.multiply(config.toXyz, linear);
+    if (config.d50) {
+      xyz = this.multiply(this.D50_TO_D65, xyz);
+    }
+    return this.multiply(this.XYZ_TO_SRGB, xyz).map(channel => this.toGamma(channel));
+  },
+
+  /**
+   * CIE Lab (D50) → XYZ (D50)
+   */
+  labToXyz(lightness, a, b) {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+
+    const fy = (lightness + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const x = fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa;
+    const y = lightness > kappa * epsilon ? fy ** 3 : lightness / kappa;
+    const z = fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa;
+
+    return [x, y, z].map((value, index) => value * this.D50_WHITE[index]);
+  },
+
+  /**
+   * OKLab → lineáris sRGB
+   */
+  oklabToLinear(lightness, a, b) {
+    const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  },
+
+  /**
+   * Lineáris sRGB → OKLab
+   */
+  linearToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+  },
+
+  /**
+   * Gamma → lineáris csatorna az adott átviteli függvénnyel (előjeltartó)
+   */
+  toLinear(value, transfer = 'srgb') {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+
+    switch (transfer) {
+      case 'linear':
+        return value;
+      case 'a98':
+        return sign * Math.pow(abs, 563 / 256);
+      case 'prophoto':
+        return sign * (abs <= 16 / 512 ? abs / 16 : Math.pow(abs, 1.8));
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return sign * (abs < beta * 4.5 ? abs / 4.5 : Math.pow((abs + alpha - 1) / alpha, 1 / 0.45));
+      }
+      default:
+        return sign * (abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4));
+    }
+  },
+
+  /**
+   * Lineáris → gamma sRGB csatorna (előjeltartó)
+   */
+  toGamma(value) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+    return sign * (abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+  },
+
+  /**
+   * 3×3 mátrix × vektor
+   */
+  multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  },
+
+  /**
+   * HSL → gamma sRGB (0-1); h, s, l 0-1 között
+   */
+  hslToRgb(h, s, l) {
+    if (s === 0) return [l, l, l];
+
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1/6) return p + (q - p) * 6 * t;
+      if (t < 1/2) return q;
+      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+      return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+
+    return [hue2rgb(p, q, h + 1/3), hue2rgb(p, q, h), hue2rgb(p, q, h - 1/3)];
+  },
+
+  /**
+   * HWB → gamma sRGB (0-1)
+   */
+  hwbToRgb(h, white, black) {
+    if (white + black >= 1) {
+      const gray = white / (white + black);
+      return [gray, gray, gray];
+    }
+    return this.hslToRgb(h, 1, 0.5).map(channel => channel * (1 - white - black) + white);
+  },
+
+  /**
+   * Szöveg vagy már értelmezett szín → értelmezett szín
+   */
+  resolve(color) {
+    return typeof color === 'string' ? this.parse(color) : color;
+  },
+
+  /**
+   * sRGB gamut-ra vágott, kerekített 0-255 csatornák
+   */
+  toRgb(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+    return [parsed.r, parsed.g, parsed.b].map(channel => Math.round(this.clamp(channel, 0, 255)));
+  },
+
+  /**
+   * HEX kiírás (#RRGGBB, áttetsző színnél #RRGGBBAA)
+   */
+  toHex(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+
+    const channels = this.toRgb(parsed);
+    if (parsed.alpha < 1) {
+      channels.push(Math.round(parsed.alpha * 255));
+    }
+    return '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+  },
+
+  /**
+   * rgb() kiírás (szóközös szintaxis, alfa "/" után)
+   */
+  toRgbString(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+    return `rgb(${this.toRgb(parsed).join(' ')}${this.formatAlpha(parsed.alpha)})`;
+  },
+
+  /**
+   * hsl() kiírás
+   */
+  toHslString(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+
+    const [r, g, b] = this.toRgb(parsed).map(channel => channel / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+
+    let hue = 0;
+    let saturation = 0;
+    if (delta !== 0) {
+      saturation = delta / (1 - Math.abs(2 * lightness - 1));
+      if (max === r) hue = ((g - b) / delta) % 6;
+      else if (max === g) hue = (b - r) / delta + 2;
+      else hue = (r - g) / delta + 4;
+      hue = (hue * 60 + 360) % 360;
+    }
+
+    return `hsl(${this.round(hue, 1)} ${this.round(saturation * 100, 1)}% ${this.round(lightness * 100, 1)}%${this.formatAlpha(parsed.alpha)})`;
+  },
+
+  /**
+   * oklch() kiírás; a gamut-on kívüli (pl. display-p3) színek pontos értéke megmarad
+   */
+  toOklchString(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+
+    const [lightness, chroma, hue] = this.toOklch(parsed);
+    const hueText = chroma < 0.0005 ? 'none' : this.round(hue, 2);
+    return `oklch(${this.round(lightness * 100, 2)}% ${this.round(chroma, 4)} ${hueText}${this.formatAlpha(parsed.alpha)})`;
+  },
+
+  /**
+   * Minden kiírási formátum egyszerre (popup másolás gombjaihoz)
+   * @returns {Object|null} { hex, rgb, hsl, oklch }
+   */
+  formats(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+
+    return {
+      hex: this.toHex(parsed),
+      rgb: this.toRgbString(parsed),
+      hsl: this.toHslString(parsed),
+      oklch: this.toOklchString(parsed)
+    };
+  },
+
+  /**
+   * OKLab koordináták [L, a, b] a vágatlan csatornákból
+   */
+  toOklab(color) {
+    const parsed = this.resolve(color);
+    if (!parsed) return null;
+    return this.linearToOklab([parsed.r, parsed.g, parsed.b].map(channel => this.toLinear(channel / 255)));
+  },
+
+  /**
+   * OKLCH koordináták [L, C, H], hue fokban
+   */
+  toOklch(color) {
+    const oklab = this.toOklab(color);
+    if (!oklab) return null;
+
+    const [lightness, a, b] = oklab;
+    let hue = Math.atan2(b, a) * 180 / Math.PI;
+    if (hue < 0) hue += 360;
+    return [lightness, Math.sqrt(a * a + b * b), hue];
+  },
+
+  /**
+   * Perceptuális távolság két szín között (OKLab ΔE × 100, alfa nélkül)
+   */
+  deltaE(colorA, colorB) {
+    const a = this.toOklab(colorA);
+    const b = this.toOklab(colorB);
+    if (!a || !b) return Infinity;
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2) * 100;
+  },
+
+  /**
+   * Alfa kiírása "/ 0.5" alakban (átlátszatlan színnél üres)
+   */
+  formatAlpha(alpha) {
+    return alpha < 1 ? ` / ${this.round(alpha, 3)}` : '';
+  },
+
+  round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+
+  clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+};
+
+// Export for content script and popup
+if (typeof window !== 'undefined') {
+  window.ColorModel = ColorModel;
+}
@@ -0,0 +1,235 @@
+/**
+ * Color Names - Szín elnevező modul
+ * Minden színhez megkeresi a legközelebbi CSS nevesített színt, egy emberi színnevet,
+ * a Tailwind és a Material Design alap paletta legközelebbi elemét (ΔE távolsággal),
+ * és jelzi, ha az oldal gyári Tailwind/Material színeket használ
+ */
+
+const ColorNames = {
+  /**
+   * Ennyi ΔE alatt (OKLab × 100) a szín pontos egyezésnek számít
+   */
+  EXACT_THRESHOLD: 1,
+
+  /**
+   * Ennyi pontos egyezés kell színes (nem semleges) családból a gyári paletta jelzéséhez
+   */
+  MIN_FRAMEWORK_MATCHES: 2,
+
+  /**
+   * Semleges családok; a fehér, fekete és ezek egyezése önmagában nem utal a keretrendszerre
+   */
+  NEUTRAL_FAMILIES: {
+    tailwind: ['slate', 'gray', 'zinc', 'neutral', 'stone'],
+    material: ['grey', 'blue-grey']
+  },
+
+  /**
+   * Tailwind alap paletta (v3), lépcsők: 50-950
+   */
+  TAILWIND_STEPS: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+  TAILWIND: {
+    slate: ['#F8FAFC', '#F1F5F9', '#E2E8F0', '#CBD5E1', '#94A3B8', '#64748B', '#475569', '#334155', '#1E293B', '#0F172A', '#020617'],
+    gray: ['#F9FAFB', '#F3F4F6', '#E5E7EB', '#D1D5DB', '#9CA3AF', '#6B7280', '#4B5563', '#374151', '#1F2937', '#111827', '#030712'],
+    zinc: ['#FAFAFA', '#F4F4F5', '#E4E4E7', '#D4D4D8', '#A1A1AA', '#71717A', '#52525B', '#3F3F46', '#27272A', '#18181B', '#09090B'],
+    neutral: ['#FAFAFA', '#F5F5F5', '#E5E5E5', '#D4D4D4', '#A3A3A3', '#737373', '#525252', '#404040', '#262626', '#171717', '#0A0A0A'],
+    stone: ['#FAFAF9', '#F5F5F4', '#E7E5E4', '#D6D3D1', '#A8A29E', '#78716C', '#57534E', '#44403C', '#292524', '#1C1917', '#0C0A09'],
+    red: ['#FEF2F2', '#FEE2E2', '#FECACA', '#FCA5A5', '#F87171', '#EF4444', '#DC2626', '#B91C1C', '#991B1B', '#7F1D1D', '#450A0A'],
+    orange: ['#FFF7ED', '#FFEDD5', '#FED7AA', '#FDBA74', '#FB923C', '#F97316', '#EA580C', '#C2410C', '#9A3412', '#7C2D12', '#431407'],
+    amber: ['#FFFBEB', '#FEF3C7', '#FDE68A', '#FCD34D', '#FBBF24', '#F59E0B', '#D97706', '#B45309', '#92400E', '#78350F', '#451A03'],
+    yellow: ['#FEFCE8', '#FEF9C3', '#FEF08A', '#FDE047', '#FACC15', '#EAB308', '#CA8A04', '#A16207', '#854D0E', '#713F12', '#422006'],
+    lime: ['#F7FEE7', '#ECFCCB', '#D9F99D', '#BEF264', '#A3E635', '#84CC16', '#65A30D', '#4D7C0F', '#3F6212', '#365314', '#1A2E05'],
+    green: ['#F0FDF4', '#DCFCE7', '#BBF7D0', '#86EFAC', '#4ADE80', '#22C55E', '#16A34A', '#15803D', '#166534', '#14532D', '#052E16'],
+    emerald: ['#ECFDF5', '#D1FAE5', '#A7F3D0', '#6EE7B7', '#34D399', '#10B981', '#059669', '#047857', '#065F46', '#064E3B', '#022C22'],
+    teal: ['#F0FDFA', '#CCFBF1', '#99F6E4', '#5EEAD4', '#2DD4BF', '#14B8A6', '#0D9488', '#0F766E', '#115E59', '#134E4A', '#042F2E'],
+    cyan: ['#ECFEFF', '#CFFAFE', '#A5F3FC', '#67E8F9', '#22D3EE', '#06B6D4', '#0891B2', '#0E7490', '#155E75', '#164E63', '#083344'],
+    sky: ['#F0F9FF', '#E0F2FE', '#BAE6FD', '#7DD3FC', '#38BDF8', '#0EA5E9', '#0284C7', '#0369A1', '#075985', '#0C4A6E', '#082F49'],
+    blue: ['#EFF6FF', '#DBEAFE', '#BFDBFE', '#93C5FD', '#60A5FA', '#3B82F6', '#2563EB', '#1D4ED8', '#1E40AF', '#1E3A8A', '#172554'],
+    indigo: ['#EEF2FF', '#E0E7FF', '#C7D2FE', '#A5B4FC', '#818CF8', '#6366F1', '#4F46E5', '#4338CA', '#3730A3', '#312E81', '#1E1B4B'],
+    violet: ['#F5F3FF', '#EDE9FE', '#DDD6FE', '#C4B5FD', '#A78BFA', '#8B5CF6', '#7C3AED', '#6D28D9', '#5B21B6', '#4C1D95', '#2E1065'],
+    purple: ['#FAF5FF', '#F3E8FF', '#E9D5FF', '#D8B4FE', '#C084FC', '#A855F7', '#9333EA', '#7E22CE', '#6B21A8', '#581C87', '#3B0764'],
+    fuchsia: ['#FDF4FF', '#FAE8FF', '#F5D0FE', '#F0ABFC', '#E879F9', '#D946EF', '#C026D3', '#A21CAF', '#86198F', '#701A75', '#4A044E'],
+    pink: ['#FDF2F8', '#FCE7F3', '#FBCFE8', '#F9A8D4', '#F472B6', '#EC4899', '#DB2777', '#BE185D', '#9D174D', '#831843', '#500724'],
+    rose: ['#FFF1F2', '#FFE4E6', '#FECDD3', '#FDA4AF', '#FB7185', '#F43F5E', '#E11D48', '#BE123C', '#9F1239', '#881337', '#4C0519']
+  },
+
+  /**
+   * Material Design alap paletta, lépcsők: 50-900
+   */
+  MATERIAL_STEPS: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900],
+  MATERIAL: {
+    'red': ['#FFEBEE', '#FFCDD2', '#EF9A9A', '#E57373', '#EF5350', '#F44336', '#E53935', '#D32F2F', '#C62828', '#B71C1C'],
+    'pink': ['#FCE4EC', '#F8BBD0', '#F48FB1', '#F06292', '#EC407A', '#E91E63', '#D81B60', '#C2185B', '#AD1457', '#880E4F'],
+    'purple': ['#F3E5F5', '#E1BEE7', '#CE93D8', '#BA68C8', '#AB47BC', '#9C27B0', '#8E24AA', '#7B1FA2', '#6A1B9A', '#4A148C'],
+    'deep-purple': ['#EDE7F6', '#D1C4E9', '#B39DDB', '#9575CD', '#7E57C2', '#673AB7', '#5E35B1', '#512DA8', '#4527A0', '#311B92'],
+    'indigo': ['#E8EAF6', '#C5CAE9', '#9FA8DA', '#7986CB', '#5C6BC0', '#3F51B5', '#3949AB', '#303F9F', '#283593', '#1A237E'],
+    'blue': ['#E3F2FD', '#BBDEFB', '#90CAF9', '#64B5F6', '#42A5F5', '#2196F3', '#1E88E5', '#1976D2', '#1565C0', '#0D47A1'],
+    'light-blue': ['#E1F5FE', '#B3E5FC', '#81D4FA', '#4FC3F7', '#29B6F6', '#03A9F4', '#039BE5', '#0288D1', '#0277BD', '#01579B'],
+    'cyan': ['#E0F7FA', '#B2EBF2', '#80DEEA', '#4DD0E1', '#26C6DA', '#00BCD4', '#00ACC1', '#0097A7', '#00838F', '#006064'],
+    'teal': ['#E0F2F1', '#B2DFDB', '#80CBC4', '#4DB6AC', '#26A69A', '#009688', '#00897B', '#00796B', '#00695C', '#004D40'],
+    'green': ['#E8F5E9', '#C8E6C9', '#A5D6A7', '#81C784', '#66BB6A', '#4CAF50', '#43A047', '#388E3C', '#2E7D32', '#1B5E20'],
+    'light-green': ['#F1F8E9', '#DCEDC8', '#C5E1A5', '#AED581', '#9CCC65', '#8BC34A', '#7CB342', '#689F38', '#558B2F', '#33691E'],
+    'lime': ['#F9FBE7', '#F0F4C3', '#E6EE9C', '#DCE775', '#D4E157', '#CDDC39', '#C0CA33', '#AFB42B', '#9E9D24', '#827717'],
+    'yellow': ['#FFFDE7', '#FFF9C4', '#FFF59D', '#FFF176', '#FFEE58', '#FFEB3B', '#FDD835', '#FBC02D', '#F9A825', '#F57F17'],
+    'amber': ['#FFF8E1', '#FFECB3', '#FFE082', '#FFD54F', '#FFCA28', '#FFC107', '#FFB300', '#FFA000', '#FF8F00', '#FF6F00'],
+    'orange': ['#FFF3E0', '#FFE0B2', '#FFCC80', '#FFB74D', '#FFA726', '#FF9800', '#FB8C00', '#F57C00', '#EF6C00', '#E65100'],
+    'deep-orange': ['#FBE9E7', '#FFCCBC', '#FFAB91', '#FF8A65', '#FF7043', '#FF5722', '#F4511E', '#E64A19', '#D84315', '#BF360C'],
+    'brown': ['#EFEBE9', '#D7CCC8', '#BCAAA4', '#A1887F', '#8D6E63', '#795548', '#6D4C41', '#5D4037', '#4E342E', '#3E2723'],
+    'grey': ['#FAFAFA', '#F5F5F5', '#EEEEEE', '#E0E0E0', '#BDBDBD', '#9E9E9E', '#757575', '#616161', '#424242', '#212121'],
+    'blue-grey': ['#ECEFF1', '#CFD8DC', '#B0BEC5', '#90A4AE', '#78909C', '#607D8B', '#546E7A', '#455A64', '#37474F', '#263238']
+  },
+
+  /**
+   * Emberi színnevek (handoff dokumentációhoz)
+   */
+  FRIENDLY_NAMES: {
+    'Black': '#000000', 'Charcoal': '#36454F', 'Graphite': '#383838', 'Slate Gray': '#708090',
+    'Gray': '#808080', 'Silver': '#C0C0C0', 'Light Gray': '#D3D3D3', 'Off White': '#F5F5F0',
+    'White': '#FFFFFF', 'Snow': '#FFFAFA', 'Ivory': '#FFFFF0', 'Cream': '#FFFDD0',
+    'Beige': '#F5F5DC', 'Sand': '#C2B280', 'Tan': '#D2B48C', 'Khaki': '#C3B091',
+    'Taupe': '#483C32', 'Brown': '#964B00', 'Chocolate': '#7B3F00', 'Coffee': '#6F4E37',
+    'Rust': '#B7410E', 'Terracotta': '#E2725B', 'Burnt Orange': '#CC5500', 'Orange': '#FF7F00',
+    'Tangerine': '#F28500', 'Peach': '#FFE5B4', 'Apricot': '#FBCEB1', 'Amber': '#FFBF00',
+    'Mustard': '#E1AD01', 'Gold': '#FFD700', 'Yellow': '#FFFF00', 'Lemon': '#FFF44F',
+    'Butter': '#FFF1B5', 'Olive': '#808000', 'Chartreuse': '#7FFF00', 'Lime': '#32CD32',
+    'Moss Green': '#8A9A5B', 'Sage': '#B2AC88', 'Mint': '#98FF98', 'Green': '#008000',
+    'Kelly Green': '#4CBB17', 'Emerald': '#50C878', 'Jade': '#00A86B', 'Forest Green': '#228B22',
+    'Hunter Green': '#355E3B', 'Pine Green': '#01796F', 'Seafoam': '#93E9BE', 'Teal': '#008080',
+    'Turquoise': '#40E0D0', 'Aqua': '#00FFFF', 'Cyan': '#00B7EB', 'Ice Blue': '#D6ECFF',
+    'Powder Blue': '#B0E0E6', 'Baby Blue': '#89CFF0', 'Sky Blue': '#87CEEB', 'Cerulean': '#007BA7',
+    'Azure': '#007FFF', 'Steel Blue': '#4682B4', 'Denim': '#1560BD', 'Cobalt': '#0047AB',
+    'Royal Blue': '#4169E1', 'Blue': '#0000FF', 'Sapphire': '#0F52BA', 'Navy': '#000080',
+    'Midnight Blue': '#191970', 'Periwinkle': '#CCCCFF', 'Indigo': '#4B0082', 'Lavender': '#E6E6FA',
+    'Lilac': '#C8A2C8', 'Violet': '#8F00FF', 'Purple': '#800080', 'Amethyst': '#9966CC',
+    'Plum': '#8E4585', 'Eggplant': '#614051', 'Mauve': '#E0B0FF', 'Magenta': '#FF00FF',
+    'Fuchsia': '#C154C1', 'Orchid': '#DA70D6', 'Hot Pink': '#FF69B4', 'Pink': '#FFC0CB',
+    'Blush': '#DE5D83', 'Rose': '#FF007F', 'Salmon': '#FA8072', 'Coral': '#FF7F50',
+    'Red': '#FF0000', 'Scarlet': '#FF2400', 'Crimson': '#DC143C', 'Cherry': '#D2042D',
+    'Ruby': '#E0115F', 'Burgundy': '#800020', 'Maroon': '#800000', 'Wine': '#722F37'
+  },
+
+  /**
+   * Előkészített (OKLab) referencia listák, első használatkor épülnek fel
+   */
+  cache: null,
+
+  /**
+   * Legközelebbi nevek egy színhez
+   * @param {string} hex - Paletta szín
+   * @returns {Object|null} { css, name, tailwind, material }, mindegyik { name, hex, deltaE, exact }
+   */
+  match(hex) {
+    const oklab = window.ColorModel.toOklab(hex);
+    if (!oklab) return null;
+
+    const references = this.getReferences();
+    return {
+      css: this.findNearest(oklab, references.css),
+      name: this.findNearest(oklab, references.name),
+      tailwind: this.findNearest(oklab, references.tailwind),
+      material: this.findNearest(oklab, references.material)
+    };
+  },
+
+  /**
+   * Gyári paletta használat: hány paletta szín egyezik pontosan Tailwind/Material színnel
+   * Csak akkor jelez, ha legalább MIN_FRAMEWORK_MATCHES színes családú egyezés van (fehér/fekete kimarad)
+   * @param {Array} palette - Paletta match mezővel (ColorAnalyzer.buildColorPalette())
+   * @returns {Array} { framework, label, matched, chromatic, total, colors }
+   */
+  detectFrameworks(palette) {
+    const colors = (palette || []).filter(color => color.match);
+    if (colors.length === 0) return [];
+
+    return [
+      { framework: 'tailwind', label: 'Tailwind' },
+      { framework: 'material', label: 'Material' }
+    ]
+      .map(({ framework, label }) => {
+        // A fehér és fekete minden palettában szerepel, nem számít
+        const candidates = colors.filter(color => !['white', 'black'].includes(color.match[framework].name));
+        const exact = candidates.filter(color => color.match[framework].exact);
+        const chromatic = exact.filter(color => !this.isNeutralFamily(framework, color.match[framework].name));
+        return {
+          framework,
+          label,
+          matched: exact.length,
+          chromatic: chromatic.length,
+          total: candidates.length,
+          colors: exact.map(color => `${color.hex} → ${color.match[framework].name}`)
+        };
+      })
+      .filter(result => result.chromatic >= this.MIN_FRAMEWORK_MATCHES)
+      .sort((a, b) => b.matched - a.matched);
+  },
+
+  /**
+   * Semleges (szürke) családba tartozik-e a paletta elem neve (pl. neutral-50, blue-grey-700)
+   */
+  isNeutralFamily(framework, name) {
+    const family = name.replace(/-\d+$/, '');
+    return this.NEUTRAL_FAMILIES[framework].includes(family);
+  },
+
+  /**
+   * Legközelebbi referencia szín OKLab ΔE × 100 szerint
+   */
+  findNearest(oklab, references) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    references.forEach(reference => {
+      const distance = Math.sqrt(
+        (oklab[0] - reference.oklab[0]) ** 2 +
+        (oklab[1] - reference.oklab[1]) ** 2 +
+        (oklab[2] - reference.oklab[2]) ** 2
+      ) * 100;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = reference;
+      }
+    });
+
+    const deltaE = Math.round(bestDistance * 10) / 10;
+    return {
+      name: best.name,
+      hex: best.hex,
+      deltaE,
+      exact: deltaE < this.EXACT_THRESHOLD
+    };
+  },
+
+  /**
+   * Referencia listák { name, hex, oklab } formában
+   */
+  getReferences() {
+    if (this.cache) return this.cache;
+
+    const toReference = (name, hex) => ({ name, hex, oklab: window.ColorModel.toOklab(hex) });
+    const fromScale = (palette, steps) => Object.entries(palette).flatMap(([family, shades]) =>
+      shades.map((hex, index) => toReference(`${family}-${steps[index]}`, hex))
+    );
+
+    this.cache = {
+      css: Object.entries(window.ColorModel.NAMED_COLORS).map(([name, hex]) => toReference(name, hex)),
+      name: Object.entries(this.FRIENDLY_NAMES).map(([name, hex]) => toReference(name, hex)),
+      tailwind: [
+        toReference('white', '#FFFFFF'),
+        toReference('black', '#000000'),
+        ...fromScale(this.TAILWIND, this.TAILWIND_STEPS)
+      ],
+      material: [
+        toReference('white', '#FFFFFF'),
+        toReference('black', '#000000'),
+        ...fromScale(this.MATERIAL, this.MATERIAL_STEPS)
+      ]
+    };
+
+    return this.cache;
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.ColorNames = ColorNames;
+}
@@ -0,0 +1,228 @@
+/**
+ * Component Analyzer - Komponens variáns elemző modul
+ * Gombokat, kártyákat, badge-eket/chipeket, alerteket és űrlap mezőket csoportosít
+ * a teljes vizuális aláírásuk (háttér, szöveg, keret, radius, padding, font, árnyék) szerint,
+ * és minden csoportból elnevezett variáns lesz (pl. primary, outline, ghost)
+ */
+
+const ComponentAnalyzer = {
+  /**
+   * Komponens típusok: selector és opcionális osztálynév minta a pontosításhoz
+   */
+  COMPONENTS: {
+    button: {
+      selector: 'button, [type="submit"], [type="button"], .btn, .button, [class*="btn-"], [class*="button-"], [role="button"]'
+    },
+    card: {
+      selector: '[class*="card"], article',
+      classPattern: /^(.*[-_])?card$/i
+    },
+    badge: {
+      selector: '[class*="badge"], [class*="chip"], [class*="tag"], [class*="pill"]',
+      classPattern: /^(.*[-_])?(badge|chip|tag|pill)$/i
+    },
+    alert: {
+      selector: '[role="alert"], [role="status"], [class*="alert"], [class*="notice"], [class*="callout"], [class*="toast"]',
+      classPattern: /^(.*[-_])?(alert|notice|callout|toast)$/i
+    },
+    input: {
+      selector: 'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]):not([type="submit"]):not([type="button"]), select, textarea'
+    }
+  },
+
+  /**
+   * Típusonként vizsgált elemek maximális száma
+   */
+  ELEMENT_LIMIT: 300,
+
+  /**
+   * Típusonként megtartott variánsok száma
+   */
+  VARIANT_LIMIT: 6,
+
+  /**
+   * Fő elemző függvény
+   * @returns {Array} Komponens típusok elnevezett variánsokkal
+   */
+  analyze() {
+    const assigned = new Set();
+    const components = [];
+
+    Object.entries(this.COMPONENTS).forEach(([component, config]) => {
+      const variants = new Map();
+      let checked = 0;
+
+      document.querySelectorAll(config.selector).forEach(element => {
+        if (assigned.has(element) || checked >= this.ELEMENT_LIMIT) return;
+        if (!this.isComponentElement(element, config)) return;
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const style = this.getSignature(element);
+        if (component === 'card' && !this.hasBoundary(element, style)) return;
+
+        assigned.add(element);
+        checked++;
+
+        const key = JSON.stringify(style);
+        if (!variants.has(key)) {
+          variants.set(key, { style, count: 0, modifiers: new Map(), selectors: new Set(), sample: '' });
+        }
+        const variant = variants.get(key);
+        variant.count++;
+        variant.selectors.add(window.StyleSheetReader.getElementSelector(element));
+        this.getModifiers(element, component).forEach(modifier => {
+          variant.modifiers.set(modifier, (variant.modifiers.get(modifier) || 0) + 1);
+        });
+        if (!variant.sample) {
+          variant.sample = this.getSampleText(element);
+        }
+      });
+
+      if (variants.size > 0) {
+        components.push({
+          component,
+          total: Array.from(variants.values()).reduce((sum, variant) => sum + variant.count, 0),
+          variants: this.nameVariants(component, Array.from(variants.values()))
+        });
+      }
+    });
+
+    return components;
+  },
+
+  /**
+   * Selector találat pontosítása osztálynév mintával (pl. card-body ne legyen kártya)
+   */
+  isComponentElement(element, config) {
+    if (!config.classPattern) return true;
+    if (element.matches('article, [role="alert"], [role="status"]')) return true;
+
+    return Array.from(element.classList).some(className => config.classPattern.test(className));
+  },
+
+  /**
+   * Vizuális aláírás a computed style-ból
+   */
+  getSignature(element) {
+    const styles = window.getComputedStyle(element);
+    const hasBorder = parseFloat(styles.borderTopWidth) > 0 && styles.borderTopStyle !== 'none';
+
+    return {
+      background: this.normalizeColor(styles.backgroundColor),
+      color: this.normalizeColor(styles.color),
+      border: hasBorder ? `${styles.borderTopWidth} ${styles.borderTopStyle} ${this.normalizeColor(styles.borderTopColor)}` : 'none',
+      radius: styles.borderTopLeftRadius,
+      padding: `${styles.paddingTop} ${styles.paddingRight} ${styles.paddingBottom} ${styles.paddingLeft}`,
+      fontFamily: window.TypographyAnalyzer.cleanFontFamily(styles.fontFamily),
+      fontSize: styles.fontSize,
+      fontWeight: styles.fontWeight,
+      shadow: styles.boxShadow
+    };
+  },
+
+  /**
+   * Kártya csak akkor, ha vizuálisan elválik a környezetétől (keret, árnyék vagy eltérő háttér)
+   */
+  hasBoundary(element, style) {
+    if (style.border !== 'none' || style.shadow !== 'none') return true;
+    if (style.background === 'transparent') return false;
+
+    let parent = element.parentElement;
+    while (parent) {
+      const parentBackground = this.normalizeColor(window.getComputedStyle(parent).backgroundColor);
+      if (parentBackground !== 'transparent') return parentBackground !== style.background;
+      parent = parent.parentElement;
+    }
+    return style.background !== '#FFFFFF';
+  },
+
+  /**
+   * Osztálynévből kiolvasott módosítók (btn-primary → primary, badge--success → success)
+   */
+  getModifiers(element, component) {
+    const prefixes = {
+      button: 'btn|button',
+      card: 'card',
+      badge: 'badge|chip|tag|pill',
+      alert: 'alert|notice|callout|toast',
+      input: 'input|form-control|field'
+    };
+    const pattern = new RegExp(`^(?:${prefixes[component]})(?:-{1,2}|_{1,2})([a-z][\\w-]*)$`, 'i');
+
+    return Array.from(element.classList)
+      .map(className => className.match(pattern))
+      .filter(Boolean)
+      .map(match => match[1].toLowerCase())
+      .filter(modifier => !/^(sm|md|lg|xl|xs|small|large|block|body|header|footer|title|text|icon|group|wrapper|container)$/.test(modifier));
+  },
+
+  /**
+   * Variánsok elnevezése: osztálynév módosító, ha egyértelmű, különben vizuális heurisztika
+   * (kitöltött: primary, secondary..., keretes: outline, háttér és keret nélkül: ghost)
+   */
+  nameVariants(component, variants) {
+    const used = new Set();
+    const uniqueName = name => {
+      let candidate = name;
+      let index = 2;
+      while (used.has(candidate)) {
+        candidate = `${name} ${index++}`;
+      }
+      used.add(candidate);
+      return candidate;
+    };
+
+    const filledNames = ['primary', 'secondary', 'tertiary'];
+    let filledIndex = 0;
+
+    return variants
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.VARIANT_LIMIT)
+      .map(variant => {
+        const modifier = Array.from(variant.modifiers.entries()).sort((a, b) => b[1] - a[1])[0];
+        let name;
+
+        if (modifier) {
+          name = modifier[0];
+        } else if (component === 'button' || component === 'badge') {
+          if (variant.style.background !== 'transparent') {
+            name = filledNames[filledIndex++] || 'filled';
+          } else {
+            name = variant.style.border !== 'none' ? 'outline' : 'ghost';
+          }
+        } else {
+          name = variant.style.shadow !== 'none' ? 'elevated' : (variant.style.border !== 'none' ? 'outlined' : 'default');
+        }
+
+        return {
+          name: uniqueName(name),
+          count: variant.count,
+          style: variant.style,
+          sample: variant.sample,
+          selectors: Array.from(variant.selectors).slice(0, 3)
+        };
+      });
+  },
+
+  /**
+   * Rövid minta szöveg az előnézethez
+   */
+  getSampleText(element) {
+    const text = (element.value || element.placeholder || element.textContent || '').trim().replace(/\s+/g, ' ');
+    return text.length > 24 ? text.slice(0, 24) + '…' : text;
+  },
+
+  /**
+   * Szín HEX formára; átlátszó háttér → 'transparent'
+   */
+  normalizeColor(value) {
+    return window.ColorAnalyzer.toHex(value) || 'transparent';
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.ComponentAnalyzer = ComponentAnalyzer;
+}
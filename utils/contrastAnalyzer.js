@@ -0,0 +1,156 @@
+/**
+ * Contrast Analyzer - Kontraszt elemző modul
+ * A paletta Foreground/Accent színeit párosítja a Background/Primary színekkel,
+ * kiszámolja a WCAG 2.x kontraszt arányt és az APCA Lc értéket
+ */
+
+const ContrastAnalyzer = {
+  /**
+   * WCAG 2.x küszöbértékek (normál és nagy szöveg)
+   */
+  THRESHOLDS: {
+    aa: { normal: 4.5, large: 3 },
+    aaa: { normal: 7, large: 4.5 }
+  },
+
+  /**
+   * Fő elemző függvény
+   * @param {Array} palette - ColorAnalyzer.analyze() eredménye
+   * @returns {Object} Előtér/háttér listák és a párok kontraszt adatai
+   */
+  analyze(palette) {
+    const foregrounds = this.pickColors(palette, ['Foreground', 'Accent']);
+    const backgrounds = this.pickColors(palette, ['Background', 'Primary']);
+    const surface = this.getSurface(palette);
+    const pairs = [];
+
+    foregrounds.forEach(foreground => {
+      backgrounds.forEach(background => {
+        if (foreground === background) return;
+
+        // Áttetsző háttér az oldal felületére, áttetsző előtér a (kevert) háttérre keverve számít
+        const base = this.flatten(background, surface);
+        const visible = this.flatten(foreground, base);
+        const ratio = this.getContrastRatio(visible, base);
+        pairs.push({
+          foreground,
+          background,
+          ratio: Math.round(ratio * 100) / 100,
+          apca: Math.round(this.getApcaContrast(visible, base) * 10) / 10,
+          aa: this.getLevel(ratio, this.THRESHOLDS.aa),
+          aaa: this.getLevel(ratio, this.THRESHOLDS.aaa)
+        });
+      });
+    });
+
+    return { foregrounds, backgrounds, pairs };
+  },
+
+  /**
+   * Adott kategóriájú hex értékek a palettából
+   */
+  pickColors(palette, categories) {
+    if (!palette) return [];
+    return palette
+      .filter(color => categories.includes(color.category))
+      .map(color => color.hex);
+  },
+
+  /**
+   * Az oldal felülete: a legnagyobb súlyú átlátszatlan Background szín, ennek hiányában fehér
+   */
+  getSurface(palette) {
+    const surface = (palette || []).find(color => {
+      if (color.category !== 'Background') return false;
+      const parsed = window.ColorModel.parse(color.hex);
+      return parsed && parsed.alpha >= 1;
+    });
+    return surface ? surface.hex : '#FFFFFF';
+  },
+
+  /**
+   * Megfelelés normál és nagy szövegre egy szinten
+   */
+  getLevel(ratio, threshold) {
+    return {
+      normal: ratio >= threshold.normal,
+      large: ratio >= threshold.large
+    };
+  },
+
+  /**
+   * WCAG 2.x kontraszt arány (1-21)
+   */
+  getContrastRatio(foreground, background) {
+    const l1 = this.getRelativeLuminance(this.hexToRgb(foreground));
+    const l2 = this.getRelativeLuminance(this.hexToRgb(background));
+    const lighter = Math.max(l1, l2);
+    const darker = Math.min(l1, l2);
+    return (lighter + 0.05) / (darker + 0.05);
+  },
+
+  /**
+   * WCAG relatív luminancia sRGB színből
+   */
+  getRelativeLuminance([r, g, b]) {
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  },
+
+  /**
+   * APCA Lc érték (APCA-W3 0.0.98G), előjeles: pozitív = sötét szöveg világos háttéren
+   */
+  getApcaContrast(foreground, background) {
+    const toY = ([r, g, b]) =>
+      0.2126729 * Math.pow(r / 255, 2.4) +
+      0.7151522 * Math.pow(g / 255, 2.4) +
+      0.0721750 * Math.pow(b / 255, 2.4);
+
+    // Soft clamp fekete közelében
+    const clampBlack = y => (y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414));
+
+    const textY = clampBlack(toY(this.hexToRgb(foreground)));
+    const backgroundY = clampBlack(toY(this.hexToRgb(background)));
+
+    if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+    if (backgroundY > textY) {
+      // Sötét szöveg világos háttéren
+      const sapc = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+      return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+
+    // Világos szöveg sötét háttéren
+    const sapc = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+  },
+
+  /**
+   * Áttetsző (#RRGGBBAA) szín ráhelyezése az alatta lévő (átlátszatlan) színre; átlátszatlan szín változatlan
+   */
+  flatten(foreground, background) {
+    const color = window.ColorModel.parse(foreground);
+    if (!color || color.alpha >= 1) return foreground;
+
+    const base = this.hexToRgb(background);
+    const mixed = this.hexToRgb(foreground).map((channel, index) =>
+      channel * color.alpha + base[index] * (1 - color.alpha)
+    );
+    return window.ColorModel.toHex(`rgb(${mixed.join(' ')})`);
+  },
+
+  /**
+   * HEX to RGB conversion (alfa nélkül)
+   */
+  hexToRgb(hex) {
+    return window.ColorModel.toRgb(hex);
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.ContrastAnalyzer = ContrastAnalyzer;
+}
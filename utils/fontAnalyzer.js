@@ -0,0 +1,370 @@
+/**
+ * Font Analyzer - Web font forrás elemző modul
+ * A @font-face szabályokból és a document.fonts listából kinyeri a font fájlokat (URL, formátum),
+ * a vastagságokat, stílusokat, unicode-range és font-display értékeket,
+ * felismeri a szolgáltatót (Google Fonts, Adobe Fonts, saját tárhely, külső CDN, rendszer font),
+ * és beilleszthető <link>/@import/@font-face kódot készít
+ */
+
+const FontAnalyzer = {
+  /**
+   * Font fájl kiterjesztés → formátum
+   */
+  FORMATS: {
+    woff2: 'woff2',
+    woff: 'woff',
+    ttf: 'truetype',
+    otf: 'opentype',
+    eot: 'embedded-opentype',
+    svg: 'svg'
+  },
+
+  /**
+   * Fő elemző függvény
+   * @param {Array} usedFamilies - Az oldalon használt font családok (TypographyAnalyzer.analyzeFontFamilies())
+   * @returns {Array} Font családok forrásokkal, szolgáltatóval és beilleszthető kóddal
+   */
+  analyze(usedFamilies = []) {
+    const families = new Map();
+
+    // 1. @font-face szabályok (StyleSheetReader)
+    this.analyzeFontFaceRules(families);
+
+    // 2. document.fonts: betöltési állapot és a FontFace API-val hozzáadott fontok
+    this.analyzeDocumentFonts(families);
+
+    // 3. Használt, de @font-face nélküli családok: rendszer fontok
+    const usedNames = new Set(usedFamilies.map(font => this.normalizeFamily(font.name)));
+    usedFamilies.forEach(font => {
+      const key = this.normalizeFamily(font.name);
+      if (!families.has(key)) {
+        families.set(key, { family: font.name, faces: [] });
+      }
+    });
+
+    const kitUrls = this.findKitStylesheets();
+
+    return Array.from(families.entries())
+      .map(([key, entry]) => {
+        const provider = this.detectProvider(entry);
+        const files = this.collectFiles(entry.faces);
+
+        return {
+          family: entry.family,
+          provider,
+          used: usedNames.has(key),
+          faces: entry.faces,
+          weights: Array.from(new Set(entry.faces.map(face => face.weight))).sort(),
+          styles: Array.from(new Set(entry.faces.map(face => face.style))),
+          files,
+          snippet: this.buildSnippet(entry, provider, kitUrls)
+        };
+      })
+      .sort((a, b) => Number(b.used) - Number(a.used) || b.faces.length - a.faces.length);
+  },
+
+  /**
+   * @font-face szabályok feldolgozása
+   */
+  analyzeFontFaceRules(families) {
+    for (const { rule } of window.StyleSheetReader.getRules().filter(entry => entry.type === 'fontFace')) {
+      const style = rule.style;
+      const family = (style.getPropertyValue('font-family') || '').replace(/["']/g, '').trim();
+      if (!family) continue;
+
+      const key = this.normalizeFamily(family);
+      if (!families.has(key)) {
+        families.set(key, { family, faces: [] });
+      }
+
+      families.get(key).faces.push({
+        weight: this.normalizeWeight(style.getPropertyValue('font-weight')),
+        style: style.getPropertyValue('font-style') || 'normal',
+        stretch: style.getPropertyValue('font-stretch') || null,
+        unicodeRange: style.getPropertyValue('unicode-range') || null,
+        display: style.getPropertyValue('font-display') || 'auto',
+        sources: this.parseSources(style.getPropertyValue('src'), window.StyleSheetReader.getBaseUrl(rule)),
+        status: null,
+        origin: 'css'
+      });
+    }
+  },
+
+  /**
+   * document.fonts: a CSS-ből ismert face-ek betöltési állapota, és a csak JS-ből (FontFace API) hozzáadott fontok
+   */
+  analyzeDocumentFonts(families) {
+    if (!document.fonts) return;
+
+    document.fonts.forEach(fontFace => {
+      const family = fontFace.family.replace(/["']/g, '').trim();
+      const key = this.normalizeFamily(family);
+      const weight = this.normalizeWeight(fontFace.weight);
+      const style = fontFace.style || 'normal';
+
+      if (!families.has(key)) {
+        families.set(key, { family, faces: [] });
+      }
+      const entry = families.get(key);
+
+      const face = entry.faces.find(item =>
+        item.weight === weight && item.style === style && item.status === null &&
+        (item.unicodeRange || 'U+0-10FFFF').toUpperCase() === (fontFace.unicodeRange || 'U+0-10FFFF').toUpperCase()
+      );
+
+      if (face) {
+        face.status = fontFace.status;
+      } else {
+        entry.faces.push({
+          weight,
+          style,
+          stretch: fontFace.stretch || null,
+          unicodeRange: fontFace.unicodeRange || null,
+          display: fontFace.display || 'auto',
+          sources: [],
+          status: fontFace.status,
+          origin: 'script'
+        });
+      }
+    });
+  },
+
+  /**
+   * src leíró feldolgozása: url(...) format(...) és local(...) források
+   * @returns {Array} { url, format } vagy { local }
+   */
+  parseSources(src, baseUrl) {
+    if (!src) return [];
+
+    return this.splitList(src)
+      .map(part => {
+        const local = part.match(/local\(\s*["']?([^"')]+)["']?\s*\)/i);
+        if (local) return { local: local[1].trim() };
+
+        const url = part.match(/url\(\s*["']?([^"')]+)["']?\s*\)/i);
+        if (!url) return null;
+
+        const format = part.match(/format\(\s*["']?([^"')]+)["']?\s*\)/i);
+        const resolved = this.resolveUrl(url[1], baseUrl);
+
+        return {
+          url: resolved,
+          format: format ? format[1] : this.getFormatFromUrl(resolved)
+        };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Egyedi font fájlok listája (letöltéshez)
+   */
+  collectFiles(faces) {
+    const files = new Map();
+
+    faces.forEach(face => {
+      face.sources.forEach(source => {
+        if (!source.url || source.url.startsWith('data:') || files.has(source.url)) return;
+        files.set(source.url, {
+          url: source.url,
+          format: source.format,
+          name: this.getFileName(source.url, source.format, face)
+        });
+      });
+    });
+
+    return Array.from(files.values());
+  },
+
+  /**
+   * Szolgáltató felismerése a font fájlok host-ja alapján
+   * @returns {string} google | adobe | self-hosted | cdn | system
+   */
+  detectProvider(entry) {
+    const urls = entry.faces.flatMap(face => face.sources.filter(source => source.url).map(source => source.url));
+
+    if (urls.length === 0) {
+      const hasScriptFace = entry.faces.some(face => face.origin === 'script');
+      return hasScriptFace ? 'self-hosted' : 'system';
+    }
+
+    const hosts = urls.map(url => {
+      try {
+        return new URL(url).hostname;
+      } catch (e) {
+        return '';
+      }
+    });
+
+    if (hosts.some(host => /(^|\.)fonts\.gstatic\.com$|(^|\.)fonts\.googleapis\.com$/.test(host))) return 'google';
+    if (hosts.some(host => /(^|\.)typekit\.(net|com)$/.test(host))) return 'adobe';
+
+    const pageHost = window.location.hostname.replace(/^www\./, '');
+    const isOwnHost = host => !host || host.replace(/^www\./, '') === pageHost || host.endsWith('.' + pageHost);
+    return hosts.every(isOwnHost) ? 'self-hosted' : 'cdn';
+  },
+
+  /**
+   * Adobe Fonts (Typekit) kit stylesheet-ek az oldalon
+   */
+  findKitStylesheets() {
+    const hrefs = [
+      ...Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).map(link => link.href),
+      ...Array.from(document.styleSheets).map(sheet => sheet.href).filter(Boolean)
+    ];
+
+    return Array.from(new Set(hrefs.filter(href => /use\.typekit\.net\//.test(href))));
+  },
+
+  /**
+   * Beilleszthető kód szolgáltatónként
+   * Google: css2 API URL, Adobe: kit stylesheet, saját/CDN: @font-face blokkok abszolút URL-ekkel
+   * @returns {Object|null} { link, import, css }
+   */
+  buildSnippet(entry, provider, kitUrls) {
+    if (provider === 'google') {
+      const url = this.buildGoogleFontsUrl(entry);
+      return {
+        link: `<link rel="preconnect" href="https://fonts.googleapis.com">\n<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>\n<link href="${url}" rel="stylesheet">`,
+        import: `@import url('${url}');`,
+        css: null
+      };
+    }
+
+    if (provider === 'adobe' && kitUrls.length > 0) {
+      return {
+        link: `<link rel="stylesheet" href="${kitUrls[0]}">`,
+        import: `@import url('${kitUrls[0]}');`,
+        css: null
+      };
+    }
+
+    const cssFaces = entry.faces.filter(face => face.sources.length > 0);
+    if (cssFaces.length === 0) return null;
+
+    const css = cssFaces.map(face => {
+      const src = face.sources
+        .map(source => (source.local
+          ? `local("${source.local}")`
+          : `url("${source.url}")${source.format ? ` format("${source.format}")` : ''}`))
+        .join(',\n       ');
+
+      return [
+        '@font-face {',
+        `  font-family: "${entry.family}";`,
+        `  src: ${src};`,
+        `  font-weight: ${face.weight};`,
+        `  font-style: ${face.style};`,
+        `  font-display: ${face.display === 'auto' ? 'swap' : face.display};`,
+        face.unicodeRange ? `  unicode-range: ${face.unicodeRange};` : null,
+        '}'
+      ].filter(Boolean).join('\n');
+    }).join('\n\n');
+
+    return { link: null, import: null, css };
+  },
+
+  /**
+   * Google Fonts css2 URL a használt vastagságokkal és stílusokkal
+   * (pl. family=Inter:ital,wght@0,400;0,700;1,400&display=swap)
+   */
+  buildGoogleFontsUrl(entry) {
+    const family = entry.family.replace(/\s+/g, '+');
+    const axes = new Set(entry.faces.map(face => {
+      const italic = face.style === 'italic' ? 1 : 0;
+      const weight = face.weight.replace(/\s+/, '..');
+      return `${italic},${weight}`;
+    }));
+
+    const values = Array.from(axes).sort();
+    const hasItalic = values.some(value => value.startsWith('1,'));
+    const spec = hasItalic
+      ? `:ital,wght@${values.join(';')}`
+      : `:wght@${values.map(value => value.slice(2)).join(';')}`;
+
+    return `https://fonts.googleapis.com/css2?family=${family}${values.length ? spec : ''}&display=swap`;
+  },
+
+  /**
+   * font-weight normalizálása számra (normal → 400, bold → 700, "100 900" tartomány marad)
+   */
+  normalizeWeight(weight) {
+    const value = (weight || 'normal').trim();
+    if (value === 'normal') return '400';
+    if (value === 'bold') return '700';
+    return value;
+  },
+
+  /**
+   * Családnév összehasonlításhoz (kisbetű, idézőjelek nélkül)
+   */
+  normalizeFamily(family) {
+    return family.replace(/["']/g, '').trim().toLowerCase();
+  },
+
+  /**
+   * Formátum a fájl kiterjesztéséből
+   */
+  getFormatFromUrl(url) {
+    const match = url.split(/[?#]/)[0].match(/\.(\w+)$/);
+    return match ? this.FORMATS[match[1].toLowerCase()] || null : null;
+  },
+
+  /**
+   * Letöltési fájlnév; kiterjesztés nélküli URL-ekhez (pl. Google Fonts) családnévből képezve
+   */
+  getFileName(url, format, face) {
+    const name = url.split(/[?#]/)[0].split('/').pop();
+    if (name && /\.\w+$/.test(name)) return name;
+
+    const extension = Object.keys(this.FORMATS).find(ext => this.FORMATS[ext] === format) || 'woff2';
+    return `${name || 'font'}-${face.weight}-${face.style}.${extension}`;
+  },
+
+  /**
+   * Relatív URL feloldása
+   */
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (e) {
+      return url;
+    }
+  },
+
+  /**
+   * Vesszővel elválasztott lista darabolása (zárójeleken és idézőjeleken belül nem vág)
+   */
+  splitList(value) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of value) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      }
+
+      if (char === ',' && depth === 0 && !quote) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.FontAnalyzer = FontAnalyzer;
+}
@@ -0,0 +1,232 @@
+/**
+ * Gradient Analyzer - Színátmenet elemző modul
+ * Kinyeri a linear, radial és conic gradienteket a stylesheet-ekből és computed style-okból
+ * Gradientenként: típus, szög/forma, színstopok pozícióval
+ */
+
+const GradientAnalyzer = {
+  /**
+   * Fő elemző függvény
+   * @param {Array} backgrounds - Háttérképes elemek (ImageAnalyzer.getElementBackgrounds), hogy ne legyen újabb DOM bejárás
+   * @returns {Array} Egyedi gradientek; count: renderelt elemek száma, rules: stylesheet szabályok száma
+   */
+  analyze(backgrounds = window.ImageAnalyzer.getElementBackgrounds()) {
+    const gradients = new Map();
+
+    // 1. StyleSheets API - CSS-ben definiált gradientek
+    this.analyzeStyleSheets(gradients);
+
+    // 2. Computed styles - ténylegesen renderelt gradientek
+    this.analyzeElements(gradients, backgrounds);
+
+    return Array.from(gradients.values())
+      .map(gradient => ({
+        ...gradient,
+        sources: Array.from(gradient.sources).slice(0, 3).join(', ')
+      }))
+      .sort((a, b) => b.count - a.count || b.rules - a.rules);
+  },
+
+  /**
+   * StyleSheets API elemzés (StyleSheetReader kilapított szabályain)
+   */
+  analyzeStyleSheets(gradients) {
+    for (const { rule, selector } of window.StyleSheetReader.getStyleRules()) {
+      const bgImage = rule.style.backgroundImage;
+      if (bgImage && bgImage.includes('gradient')) {
+        this.parseGradients(bgImage).forEach(gradient => {
+          this.addGradient(gradients, gradient, selector, 'rules');
+        });
+      }
+    }
+  },
+
+  /**
+   * Computed style elemzés a háttérképes elemeken
+   */
+  analyzeElements(gradients, backgrounds) {
+    backgrounds.forEach(({ element, value }) => {
+      if (!value.includes('gradient')) return;
+
+      this.parseGradients(value).forEach(gradient => {
+        this.addGradient(gradients, gradient, window.StyleSheetReader.getElementSelector(element), 'count');
+      });
+    });
+  },
+
+  /**
+   * Gradient hozzáadása Map-hez, a stopok HEX értéke alapján deduplikálva
+   * @param {string} counter - 'count' (renderelt elem) vagy 'rules' (stylesheet szabály), külön számolva
+   */
+  addGradient(gradients, gradient, source, counter) {
+    const key = [
+      gradient.type,
+      gradient.repeating,
+      gradient.angle,
+      gradient.shape,
+      ...gradient.stops.map(stop => `${stop.hex} ${stop.position || ''}`)
+    ].join('|');
+
+    if (gradients.has(key)) {
+      const existing = gradients.get(key);
+      existing[counter]++;
+      existing.sources.add(source);
+    } else {
+      gradients.set(key, {
+        ...gradient,
+        count: 0,
+        rules: 0,
+        [counter]: 1,
+        sources: new Set([source])
+      });
+    }
+  },
+
+  /**
+   * Minden gradient függvény kinyerése egy background-image értékből
+   * @param {string} value - pl. "linear-gradient(45deg, red 0%, blue 100%), url(a.png)"
+   * @returns {Array} Feldolgozott gradientek
+   */
+  parseGradients(value) {
+    const results = [];
+    const pattern = /(repeating-)?(linear|radial|conic)-gradient\(/gi;
+    let match;
+
+    while ((match = pattern.exec(value)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      const closeIndex = window.StyleSheetReader.findClosingParen(value, openIndex);
+      if (closeIndex === -1) break;
+
+      const gradient = this.parseGradient(
+        match[2].toLowerCase(),
+        Boolean(match[1]),
+        value.slice(openIndex + 1, closeIndex)
+      );
+
+      if (gradient) {
+        gradient.css = value.slice(match.index, closeIndex + 1);
+        results.push(gradient);
+      }
+
+      pattern.lastIndex = closeIndex + 1;
+    }
+
+    return results;
+  },
+
+  /**
+   * Egy gradient argumentumainak feldolgozása
+   */
+  parseGradient(type, repeating, args) {
+    const parts = window.StyleSheetReader.splitTopLevel(args, ',');
+    if (parts.length === 0) return null;
+
+    // Az első argumentum konfiguráció, ha nem színnel kezdődik
+    let config = null;
+    if (!this.parseStop(parts[0])) {
+      config = parts.shift();
+    }
+
+    const stops = parts
+      .map(part => this.parseStop(part))
+      .filter(Boolean);
+
+    if (stops.length === 0) return null;
+
+    return {
+      type,
+      repeating,
+      angle: this.parseAngle(type, config),
+      shape: type === 'radial' ? (config || 'ellipse') : null,
+      stops
+    };
+  },
+
+  /**
+   * Színstop feldolgozása: "<szín> [pozíció] [pozíció]"
+   * Színátmenet tipp (csak pozíció) esetén null
+   */
+  parseStop(part) {
+    const text = part.trim();
+    let colorText;
+    let rest;
+
+    const fnMatch = text.match(/^[a-z-]+\(/i);
+    if (fnMatch) {
+      const closeIndex = window.StyleSheetReader.findClosingParen(text, fnMatch[0].length - 1);
+      if (closeIndex === -1) return null;
+      colorText = text.slice(0, closeIndex + 1);
+      rest = text.slice(closeIndex + 1).trim();
+    } else {
+      const tokens = text.split(/\s+/);
+      colorText = tokens.shift();
+      rest = tokens.join(' ');
+    }
+
+    if (!CSS.supports('color', colorText)) return null;
+
+    // Átlátszó stop megmarad, de nincs HEX értéke
+    const hex = window.ColorAnalyzer.isValidColor(colorText)
+      ? window.ColorAnalyzer.toHex(colorText)
+      : null;
+
+    return {
+      color: colorText,
+      hex,
+      position: rest || null
+    };
+  },
+
+  /**
+   * Szög fokban (linear: irány, conic: "from" szög, radial: null)
+   */
+  parseAngle(type, config) {
+    if (type === 'radial') return null;
+
+    if (type === 'linear') {
+      if (!config) return 180;
+
+      const directions = {
+        'to top': 0,
+        'to top right': 45,
+        'to right top': 45,
+        'to right': 90,
+        'to bottom right': 135,
+        'to right bottom': 135,
+        'to bottom': 180,
+        'to bottom left': 225,
+        'to left bottom': 225,
+        'to left': 270,
+        'to top left': 315,
+        'to left top': 315
+      };
+      const direction = config.trim().toLowerCase().replace(/\s+/g, ' ');
+      if (direction in directions) return directions[direction];
+
+      return this.toDegrees(direction);
+    }
+
+    // conic
+    const fromMatch = config && config.match(/from\s+(\S+)/i);
+    return fromMatch ? this.toDegrees(fromMatch[1]) : 0;
+  },
+
+  /**
+   * CSS szög érték átváltása fokra
+   */
+  toDegrees(value) {
+    const match = value.match(/^(-?[\d.]+)(deg|turn|rad|grad)?$/i);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    const unit = (match[2] || 'deg').toLowerCase();
+    const factors = { deg: 1, turn: 360, rad: 180 / Math.PI, grad: 0.9 };
+
+    return Math.round(number * factors[unit] * 100) / 100;
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.GradientAnalyzer = GradientAnalyzer;
+}
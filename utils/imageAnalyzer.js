@@ -1,19 +1,60 @@
 /**
  * Image Analyzer - Kép elemző modul
- * Kinyeri a logókat, képeket, SVG-ket és háttérképeket
+ * Kinyeri a logókat, képeket, SVG-ket és háttérképeket, valamint a logó és a legnagyobb képek domináns színeit
+ * Brand ikonok: favicon, apple-touch-icon, mask-icon, web manifest, theme-color, og:image/twitter:image
  */
 
 const ImageAnalyzer = {
+  /**
+   * Ennyi legnagyobb képnek számolódnak a domináns színei
+   */
+  COLOR_IMAGES: 6,
+
+  /**
+   * Képenként legfeljebb ennyi domináns szín
+   */
+  COLORS_PER_IMAGE: 5,
+
+  /**
+   * Ennyi százalék alatti részarányú szín kimarad (élsimítás, zaj)
+   */
+  MIN_COLOR_SHARE: 3,
+
+  /**
+   * SVG alakzatok, amelyek fill/stroke értéke számít
+   */
+  SVG_SHAPES: 'path, rect, circle, ellipse, polygon, polyline, line, text',
+
+  /**
+   * Brand ikon link típusok (rel) és címkéik
+   */
+  ICON_RELS: [
+    { rel: 'icon', label: 'Favicon' },
+    { rel: 'apple-touch-icon', label: 'Apple touch icon' },
+    { rel: 'apple-touch-icon-precomposed', label: 'Apple touch icon' },
+    { rel: 'mask-icon', label: 'Safari mask icon' }
+  ],
+
+  /**
+   * Közösségi megosztási képek meta tagjei
+   */
+  SOCIAL_IMAGES: [
+    { selector: 'meta[property="og:image"], meta[property="og:image:url"]', label: 'og:image', prefix: 'og:image' },
+    { selector: 'meta[name="twitter:image"], meta[property="twitter:image"]', label: 'twitter:image', prefix: 'twitter:image' }
+  ],
+
   /**
    * Fő elemző függvény
+   * @param {Array} backgrounds - getElementBackgrounds() eredménye (a GradientAnalyzer is ezt használja)
    * @returns {Object} Kép adatok
    */
-  analyze() {
+  analyze(backgrounds = this.getElementBackgrounds()) {
     return {
       logo: this.detectLogo(),
       all: this.getAllImages(),
       svgs: this.getInlineSvgs(),
-      backgrounds: this.getBackgroundImages()
+      backgrounds: this.getBackgroundImages(backgrounds),
+      brand: this.getBrandIcons()
     };
   },
 
@@ -61,7 +102,9 @@ const ImageAnalyzer = {
       try {
         const element = document.querySelector(selector);
         if (element) {
-          return this.getSvgInfo(element, true);
+          const info = this.getSvgInfo(element, true);
+          info.colors = this.getSvgColors(element);
+          return info;
         }
       } catch (e) {
         // Skip invalid selectors
@@ -187,30 +230,288 @@ const ImageAnalyzer = {
   },
 
   /**
-   * Get all background images
+   * Logó és a legnagyobb képek domináns színei ({ hex, share }), az eredmény objektumokba írva
+   * A raszteres képeket a background service worker kvantálja, az SVG-k fill/stroke értékei közvetlenül olvasódnak
+   * @param {Object} images - analyze() eredménye
    */
-  getBackgroundImages() {
-    const backgrounds = [];
-    const elements = document.querySelectorAll('*');
+  async extractColors(images) {
+    const targets = (images.all || []).slice(0, this.COLOR_IMAGES);
+    if (images.logo && !images.logo.colors) {
+      targets.unshift(images.logo);
+    }
+
+    const cache = new Map();
+
+    await Promise.all(targets.map(async image => {
+      if (!cache.has(image.url)) {
+        cache.set(image.url, this.getImageColors(image).catch(() => []));
+      }
+      image.colors = await cache.get(image.url);
+    }));
+  },
 
-    elements.forEach(element => {
-      const styles = window.getComputedStyle(element);
-      const bgImage = styles.backgroundImage;
+  /**
+   * Egy kép domináns színei
+   * Az SVG (bármilyen URL sémával) szövegként töltődik be és a fill/stroke értékei olvasódnak,
+   * a raszteres képeket a background service worker kvantálja
+   */
+  async getImageColors(image) {
+    if (image.type === 'svg') {
+      return this.getSvgFileColors(await this.fetchSvgText(image.url));
+    }
 
-      if (bgImage && bgImage !== 'none') {
-        // Extract URL from background-image
-        const urlMatch = bgImage.match(/url\(["']?([^"')]+)["']?\)/);
-        if (urlMatch && urlMatch[1]) {
-          const url = urlMatch[1];
+    const response = await chrome.runtime.sendMessage({
+      action: 'extractImageColors',
+      url: image.url,
+      colors: this.COLORS_PER_IMAGE + 3
+    });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'Nincs válasz');
+    }
 
-          // Skip data URIs and gradients
-          if (url.startsWith('data:') || url.includes('gradient')) return;
+    return this.filterColors(response.colors.map(color => ({ hex: color.hex, share: color.share })));
+  },
 
-          backgrounds.push({
-            url: this.resolveUrl(url),
-            element: this.getElementSelector(element)
-          });
+  /**
+   * SVG fájl szövege: http(s) a background fetchText-tel (CORS), data: és blob: URL helyben
+   */
+  async fetchSvgText(url) {
+    if (/^https?:/.test(url)) {
+      const response = await chrome.runtime.sendMessage({ action: 'fetchText', url });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'Nincs válasz');
+      }
+      return response.text;
+    }
+
+    const response = await fetch(url);
+    return response.text();
+  },
+
+  /**
+   * Letöltött SVG színei: a dokumentum ideiglenesen egy láthatatlan shadow root-ba kerül,
+   * így a saját <style> szabályai (pl. Illustrator .st0{fill:...}) is érvényesülnek a computed style-ban,
+   * az oldal stílusai viszont nem hatnak rá
+   */
+  getSvgFileColors(text) {
+    const parsed = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+    if (!parsed || parsed.nodeName.toLowerCase() !== 'svg') return [];
+
+    const host = document.createElement('div');
+    host.style.cssText = 'all: initial; position: absolute; left: -9999px; top: 0; width: 0; height: 0; overflow: hidden;';
+    const root = host.attachShadow({ mode: 'closed' });
+    const svg = document.importNode(parsed, true);
+    root.appendChild(svg);
+    document.documentElement.appendChild(host);
+
+    try {
+      return this.getSvgColors(svg);
+    } finally {
+      host.remove();
+    }
+  },
+
+  /**
+   * SVG fill és stroke színei (computed style), alakzatonként számolva
+   */
+  getSvgColors(svg) {
+    const counts = new Map();
+
+    svg.querySelectorAll(this.SVG_SHAPES).forEach(shape => {
+      // Maszkok, vágások és definíciók nem látszanak közvetlenül
+      if (shape.closest('defs, clipPath, mask')) return;
+
+      ['fill', 'stroke'].forEach(property => {
+        if (property === 'fill' && shape.tagName.toLowerCase() === 'line') return;
+
+        const value = window.getComputedStyle(shape)[property];
+        const hex = value ? window.ColorAnalyzer.toHex(value) : null;
+        if (hex) {
+          counts.set(hex, (counts.get(hex) || 0) + 1);
+        }
+      });
+    });
+
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+
+    return this.filterColors(Array.from(counts, ([hex, count]) => ({
+      hex,
+      share: Math.round(count / total * 1000) / 10
+    })).sort((a, b) => b.share - a.share));
+  },
+
+  /**
+   * Zaj kiszűrése és a színek számának korlátozása
+   */
+  filterColors(colors) {
+    return colors
+      .filter(color => color.share >= this.MIN_COLOR_SHARE)
+      .slice(0, this.COLORS_PER_IMAGE);
+  },
+
+  /**
+   * Brand ikonok és téma színek a <head>-ből (a manifest tartalmát a loadManifest() tölti be)
+   * @returns {Object} { icons: [{ url, label, sizes, type, color }], themeColors: [{ hex, source, media, active }], manifest }
+   */
+  getBrandIcons() {
+    const brand = { icons: [], themeColors: [], manifest: null };
+
+    this.ICON_RELS.forEach(({ rel, label }) => {
+      document.querySelectorAll(`link[rel~="${rel}" i]`).forEach(link => {
+        if (!link.href) return;
+
+        const color = link.getAttribute('color');
+        this.addBrandIcon(brand, {
+          url: link.href,
+          label,
+          sizes: link.getAttribute('sizes') || null,
+          type: link.getAttribute('type') || this.getFileType(link.href),
+          color: color ? window.ColorAnalyzer.toHex(color) : null
+        });
+
+        if (rel === 'mask-icon' && color) {
+          this.addThemeColor(brand, color, 'mask-icon');
         }
+      });
+    });
+
+    document.querySelectorAll('meta[name="theme-color" i]').forEach(meta => {
+      this.addThemeColor(brand, meta.content, 'theme-color', meta.getAttribute('media'));
+    });
+
+    this.SOCIAL_IMAGES.forEach(({ selector, label, prefix }) => {
+      document.querySelectorAll(selector).forEach(meta => {
+        if (!meta.content) return;
+
+        const width = this.getMetaContent(`${prefix}:width`);
+        const height = this.getMetaContent(`${prefix}:height`);
+        const url = this.resolveUrl(meta.content);
+        this.addBrandIcon(brand, {
+          url,
+          label,
+          sizes: width && height ? `${width}x${height}` : null,
+          type: this.getFileType(url),
+          color: null
+        });
+      });
+    });
+
+    const manifest = document.querySelector('link[rel~="manifest" i]');
+    if (manifest && manifest.href) {
+      brand.manifest = { url: manifest.href, name: null };
+    }
+
+    return brand;
+  },
+
+  /**
+   * Web manifest letöltése (background fetchText) és az ikonjai, theme_color, background_color hozzáadása
+   * @param {Object} brand - getBrandIcons() eredménye
+   */
+  async loadManifest(brand) {
+    if (!brand.manifest) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'fetchText', url: brand.manifest.url });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'Nincs válasz');
+      }
+
+      const manifest = JSON.parse(response.text);
+      brand.manifest.name = manifest.name || manifest.short_name || null;
+
+      (manifest.icons || []).forEach(icon => {
+        if (!icon.src) return;
+
+        const url = new URL(icon.src, brand.manifest.url).href;
+        this.addBrandIcon(brand, {
+          url,
+          label: icon.purpose && icon.purpose !== 'any' ? `Manifest ikon (${icon.purpose})` : 'Manifest ikon',
+          sizes: icon.sizes || null,
+          type: icon.type || this.getFileType(url),
+          color: null
+        });
+      });
+
+      this.addThemeColor(brand, manifest.theme_color, 'manifest theme_color');
+      this.addThemeColor(brand, manifest.background_color, 'manifest background_color');
+    } catch (e) {
+      brand.manifest.error = e.message;
+    }
+  },
+
+  /**
+   * Brand ikon felvétele (azonos URL és címke csak egyszer)
+   */
+  addBrandIcon(brand, icon) {
+    if (brand.icons.some(existing => existing.url === icon.url && existing.label === icon.label)) return;
+    brand.icons.push(icon);
+  },
+
+  /**
+   * Téma szín felvétele HEX formában (érvénytelen érték kimarad), az aktuálisan nem érvényes media feltételűek jelölve
+   */
+  addThemeColor(brand, value, source, media = null) {
+    const hex = value ? window.ColorAnalyzer.toHex(value) : null;
+    if (!hex) return;
+    brand.themeColors.push({ hex, source, media, active: this.matchesMedia(media) });
+  },
+
+  /**
+   * Media feltétel (pl. prefers-color-scheme: dark) teljesül-e most; feltétel nélkül mindig
+   */
+  matchesMedia(media) {
+    if (!media) return true;
+    try {
+      return window.matchMedia(media).matches;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Meta tag tartalma property vagy name alapján
+   */
+  getMetaContent(name) {
+    const meta = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    return meta ? meta.content : null;
+  },
+
+  /**
+   * Háttérképes elemek ({ element, value }) egyetlen computed style bejárással
+   */
+  getElementBackgrounds() {
+    const backgrounds = [];
+
+    document.querySelectorAll('*').forEach(element => {
+      const value = window.getComputedStyle(element).backgroundImage;
+      if (value && value !== 'none') {
+        backgrounds.push({ element, value });
+      }
+    });
+
+    return backgrounds;
+  },
+
+  /**
+   * Get all background images
+   */
+  getBackgroundImages(elementBackgrounds) {
+    const backgrounds = [];
+
+    elementBackgrounds.forEach(({ element, value }) => {
+      // Extract URL from background-image
+      const urlMatch = value.match(/url\(["']?([^"')]+)["']?\)/);
+      if (urlMatch && urlMatch[1]) {
+        const url = urlMatch[1];
+
+        // Skip data URIs and gradients
+        if (url.startsWith('data:') || url.includes('gradient')) return;
+
+        backgrounds.push({
+          url: this.resolveUrl(url),
+          element: window.StyleSheetReader.getElementSelector(element)
+        });
       }
     });
 
@@ -258,24 +559,6 @@ const ImageAnalyzer = {
     } catch {
       return url;
     }
-  },
-
-  /**
-   * Get a simple selector for an element
-   */
-  getElementSelector(element) {
-    if (element.id) {
-      return `#${element.id}`;
-    }
-
-    if (element.className && typeof element.className === 'string') {
-      const mainClass = element.className.split(' ')[0];
-      if (mainClass) {
-        return `${element.tagName.toLowerCase()}.${mainClass}`;
-      }
-    }
-
-    return element.tagName.toLowerCase();
   }
 };
 
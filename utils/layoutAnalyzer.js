@@ -0,0 +1,277 @@
+/**
+ * Layout Analyzer - Reszponzív struktúra elemző modul
+ * Kinyeri a @media és @container szélesség feltételeket (breakpointok),
+ * a max-width tartalom konténereket és a grid/flex oszloprendszereket
+ */
+
+const LayoutAnalyzer = {
+  /**
+   * Ennyi pixelen belüli breakpointok egy csoportba kerülnek
+   */
+  BREAKPOINT_TOLERANCE: 8,
+
+  /**
+   * Fő elemző függvény
+   * @returns {Object} Breakpointok, konténerek és oszloprendszerek
+   */
+  analyze() {
+    return {
+      breakpoints: this.analyzeBreakpoints(),
+      containers: this.analyzeContainers(),
+      grids: this.analyzeGrids()
+    };
+  },
+
+  /**
+   * Breakpointok gyűjtése a szabályok feltételeiből és csoportosítása
+   */
+  analyzeBreakpoints() {
+    const values = new Map();
+    const seenConditions = new Set();
+
+    for (const { conditions } of window.StyleSheetReader.getRules()) {
+      conditions.forEach(condition => {
+        if (condition.type !== 'media' && condition.type !== 'container') return;
+
+        // A darabszám a feltétel alatti szabályokat számolja, a query szöveg csak egyszer kerül a mintákba
+        const key = `${condition.type}|${condition.text}`;
+        const isNew = !seenConditions.has(key);
+        seenConditions.add(key);
+
+        this.parseWidthConditions(condition.text).forEach(({ value, bound }) => {
+          if (!values.has(value)) {
+            values.set(value, { value, count: 0, queries: new Set(), kinds: new Set(), bounds: new Set() });
+          }
+          const entry = values.get(value);
+          entry.count++;
+          entry.kinds.add(condition.type);
+          entry.bounds.add(bound);
+          if (isNew) entry.queries.add(condition.text);
+        });
+      });
+    }
+
+    return this.clusterBreakpoints(Array.from(values.values()));
+  },
+
+  /**
+   * Szélesség feltételek kinyerése egy media/container query szövegből
+   * Támogatja: (min-width: 768px), (max-width: 767.98px), (width >= 768px), (768px <= width < 1024px)
+   * @returns {Array} { value: határ pixelben, bound: min|max }
+   */
+  parseWidthConditions(text) {
+    const results = [];
+    const toPx = (number, unit) => parseFloat(number) * (unit === 'em' || unit === 'rem' ? 16 : 1);
+
+    // max-width X: a határ X + 1 (767.98px → 768px)
+    const addBoundary = (px, bound) => {
+      const value = bound === 'max' ? Math.floor(px) + 1 : Math.round(px);
+      if (value > 0) results.push({ value, bound });
+    };
+
+    const legacy = /(min|max)-(?:inline-size|width)\s*:\s*([\d.]+)(px|em|rem)/gi;
+    let match;
+    while ((match = legacy.exec(text)) !== null) {
+      addBoundary(toPx(match[2], match[3]), match[1].toLowerCase());
+    }
+
+    // Range szintaxis: "width >= 768px", "768px <= width"
+    const rangeAfter = /(?:width|inline-size)\s*(>=|>|<=|<)\s*([\d.]+)(px|em|rem)/gi;
+    while ((match = rangeAfter.exec(text)) !== null) {
+      const px = toPx(match[2], match[3]);
+      if (match[1].startsWith('>')) {
+        addBoundary(match[1] === '>' ? px + 1 : px, 'min');
+      } else {
+        addBoundary(match[1] === '<' ? px - 1 : px, 'max');
+      }
+    }
+
+    const rangeBefore = /([\d.]+)(px|em|rem)\s*(>=|>|<=|<)\s*(?:width|inline-size)/gi;
+    while ((match = rangeBefore.exec(text)) !== null) {
+      const px = toPx(match[1], match[2]);
+      if (match[3].startsWith('<')) {
+        addBoundary(match[3] === '<' ? px + 1 : px, 'min');
+      } else {
+        addBoundary(match[3] === '>' ? px - 1 : px, 'max');
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Közeli breakpointok összevonása; a csoport értéke a leggyakoribb érték
+   */
+  clusterBreakpoints(entries) {
+    const clusters = [];
+
+    entries
+      .sort((a, b) => a.value - b.value)
+      .forEach(entry => {
+        const last = clusters[clusters.length - 1];
+        if (last && entry.value - last.min <= this.BREAKPOINT_TOLERANCE) {
+          last.members.push(entry);
+        } else {
+          clusters.push({ min: entry.value, members: [entry] });
+        }
+      });
+
+    return clusters.map(({ members }) => {
+      const main = members.reduce((best, member) => (member.count > best.count ? member : best));
+      const union = key => Array.from(new Set(members.flatMap(member => Array.from(member[key]))));
+
+      return {
+        value: main.value,
+        count: members.reduce((sum, member) => sum + member.count, 0),
+        variants: members.map(member => member.value).filter(value => value !== main.value),
+        kinds: union('kinds'),
+        bounds: union('bounds'),
+        queries: union('queries').slice(0, 3)
+      };
+    });
+  },
+
+  /**
+   * Max-width tartalom konténerek (középre igazított, fix maximális szélességű elemek)
+   */
+  analyzeContainers() {
+    const containers = new Map();
+    const elements = document.querySelectorAll('body *');
+
+    elements.forEach(element => {
+      const styles = window.getComputedStyle(element);
+      if (styles.display === 'none' || !styles.maxWidth.endsWith('px')) return;
+
+      const maxWidth = Math.round(parseFloat(styles.maxWidth));
+      if (maxWidth < 320) return;
+
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || !this.isCentered(element, rect)) return;
+
+      if (!containers.has(maxWidth)) {
+        containers.set(maxWidth, { maxWidth, count: 0, selectors: new Set(), padding: styles.paddingLeft });
+      }
+      const entry = containers.get(maxWidth);
+      entry.count++;
+      entry.selectors.add(window.StyleSheetReader.getElementSelector(element));
+    });
+
+    return Array.from(containers.values())
+      .map(entry => ({ ...entry, selectors: Array.from(entry.selectors).slice(0, 3) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 6);
+  },
+
+  /**
+   * Középre igazított-e: auto bal/jobb margó (margin: 0 auto), vagy a szülőben ténylegesen
+   * középen áll, mindkét oldalon szabad hellyel (a 0/0 margójú, teljes szélességű elem nem az)
+   */
+  isCentered(element, rect) {
+    const styleMap = element.computedStyleMap ? element.computedStyleMap() : null;
+    if (window.SpacingAnalyzer.isAuto(styleMap, 'margin-left') && window.SpacingAnalyzer.isAuto(styleMap, 'margin-right')) {
+      return true;
+    }
+
+    const parent = element.parentElement;
+    if (!parent) return false;
+
+    // A szülő tartalomdobozához mérve, hogy a paddingos szülőt kitöltő elem ne számítson középre igazítottnak
+    const parentRect = parent.getBoundingClientRect();
+    const parentStyles = window.getComputedStyle(parent);
+    const inset = side => parseFloat(parentStyles[`border${side}Width`]) + parseFloat(parentStyles[`padding${side}`]);
+    const left = rect.left - (parentRect.left + inset('Left'));
+    const right = (parentRect.right - inset('Right')) - rect.right;
+    return left > 0 && right > 0 && Math.abs(left - right) <= 1;
+  },
+
+  /**
+   * Grid és flex oszloprendszerek a nagyobb (legalább fél viewport széles) konténereken
+   */
+  analyzeGrids() {
+    const systems = new Map();
+    const minWidth = window.innerWidth / 2;
+    const elements = document.querySelectorAll('body *');
+
+    elements.forEach(element => {
+      const styles = window.getComputedStyle(element);
+      if (!/grid|flex/.test(styles.display)) return;
+
+      const rect = element.getBoundingClientRect();
+      if (rect.width < minWidth) return;
+
+      const system = styles.display.includes('grid')
+        ? this.getGridColumns(styles)
+        : this.getFlexColumns(element, styles);
+      if (!system || system.columns < 2) return;
+
+      const key = `${system.type}|${system.columns}|${system.gutter}`;
+      if (!systems.has(key)) {
+        systems.set(key, { ...system, count: 0, selectors: new Set() });
+      }
+      const entry = systems.get(key);
+      entry.count++;
+      entry.selectors.add(window.StyleSheetReader.getElementSelector(element));
+    });
+
+    return Array.from(systems.values())
+      .map(entry => ({ ...entry, selectors: Array.from(entry.selectors).slice(0, 3) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 8);
+  },
+
+  /**
+   * Grid oszlopok a computed grid-template-columns alapján
+   */
+  getGridColumns(styles) {
+    const template = styles.gridTemplateColumns;
+    if (!template || template === 'none') return null;
+
+    const tracks = template.split(/\s+(?![^(]*\))/).filter(track => /^[\d.]+px$/.test(track));
+
+    return {
+      type: 'grid',
+      columns: tracks.length,
+      gutter: this.toPx(styles.columnGap),
+      template
+    };
+  },
+
+  /**
+   * Flex oszlopok: az első sor közel azonos szélességű gyerekei
+   */
+  getFlexColumns(element, styles) {
+    if (styles.flexDirection.startsWith('column')) return null;
+
+    const children = Array.from(element.children)
+      .map(child => child.getBoundingClientRect())
+      .filter(rect => rect.width > 0 && rect.height > 0);
+    if (children.length < 2) return null;
+
+    const firstRow = children.filter(rect => Math.abs(rect.top - children[0].top) < 2);
+    const widths = firstRow.map(rect => rect.width);
+    const equalWidths = Math.max(...widths) - Math.min(...widths) <= 2;
+    if (!equalWidths || firstRow.length < 2) return null;
+
+    const gutter = this.toPx(styles.columnGap) || Math.max(0, Math.round(firstRow[1].left - firstRow[0].right));
+
+    return {
+      type: 'flex',
+      columns: firstRow.length,
+      gutter,
+      template: null
+    };
+  },
+
+  /**
+   * Pixel érték számmá ('normal' → 0)
+   */
+  toPx(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : Math.round(number);
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.LayoutAnalyzer = LayoutAnalyzer;
+}
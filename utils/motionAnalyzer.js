@@ -0,0 +1,192 @@
+/**
+ * Motion Analyzer - Mozgás (transition, animation, @keyframes) elemző modul
+ * Időtartam és easing tokeneket gyűjt a stylesheet-ekből és az interaktív elemek computed style-jából,
+ * és listázza a nevesített keyframe animációkat
+ */
+
+const MotionAnalyzer = {
+  /**
+   * Interaktív elemek (gombok, linkek, űrlap elemek)
+   */
+  INTERACTIVE_SELECTOR: 'a[href], button, [type="submit"], [type="button"], .btn, .button, [class*="btn-"], [class*="button-"], [role="button"], input, select, textarea',
+
+  /**
+   * Easing kulcsszavak cubic-bezier megfelelője
+   */
+  EASING_KEYWORDS: {
+    'linear': [0, 0, 1, 1],
+    'ease': [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+  },
+
+  /**
+   * Fő elemző függvény
+   * @returns {Object} Időtartam és easing tokenek, keyframe animációk
+   */
+  analyze() {
+    const motion = {
+      durations: new Map(),
+      easings: new Map(),
+      animationNames: new Map()
+    };
+
+    // 1. StyleSheets API - transition/animation deklarációk
+    this.analyzeStyleSheets(motion);
+
+    // 2. Interaktív elemek computed styles
+    this.analyzeInteractiveElements(motion);
+
+    const toList = map => Array.from(map.values())
+      .map(token => ({ ...token, usedIn: Array.from(token.usedIn) }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      durations: toList(motion.durations),
+      easings: toList(motion.easings),
+      keyframes: this.analyzeKeyframes(motion.animationNames)
+    };
+  },
+
+  /**
+   * StyleSheets API elemzés (StyleSheetReader kilapított szabályain)
+   */
+  analyzeStyleSheets(motion) {
+    for (const { rule } of window.StyleSheetReader.getStyleRules()) {
+      this.collectFromStyle(motion, rule.style);
+    }
+  },
+
+  /**
+   * Interaktív elemek computed style elemzése
+   */
+  analyzeInteractiveElements(motion) {
+    document.querySelectorAll(this.INTERACTIVE_SELECTOR).forEach(element => {
+      this.collectFromStyle(motion, window.getComputedStyle(element));
+    });
+  },
+
+  /**
+   * Időtartamok, easingek és animáció nevek gyűjtése egy deklaráció blokkból
+   * Csak a nem nulla időtartamú transition/animation easingje számít; a listák
+   * indexenként párosulnak, a rövidebb easing lista ismétlődik (mint a CSS-ben)
+   */
+  collectFromStyle(motion, style) {
+    [
+      ['transition', style.transitionDuration, style.transitionTimingFunction],
+      ['animation', style.animationDuration, style.animationTimingFunction]
+    ].forEach(([kind, durationValue, easingValue]) => {
+      const easings = window.StyleSheetReader.splitTopLevel(easingValue);
+
+      window.StyleSheetReader.splitTopLevel(durationValue).forEach((value, index) => {
+        const ms = this.parseDuration(value);
+        if (ms === null || ms === 0) return;
+
+        this.addToken(motion.durations, `${ms}`, { value: ms, label: this.formatDuration(ms) }, kind);
+
+        const easing = easings.length > 0 ? easings[index % easings.length].toLowerCase() : '';
+        if (!easing || easing.includes('var(')) return;
+        this.addToken(motion.easings, easing, { value: easing, ...this.parseEasing(easing) }, kind);
+      });
+    });
+
+    window.StyleSheetReader.splitTopLevel(style.animationName).forEach(name => {
+      const trimmed = name.trim();
+      if (trimmed && trimmed !== 'none') {
+        motion.animationNames.set(trimmed, (motion.animationNames.get(trimmed) || 0) + 1);
+      }
+    });
+  },
+
+  /**
+   * Token számlálása Map-ben, transition/animation felhasználás szerint
+   */
+  addToken(map, key, data, kind) {
+    if (!map.has(key)) {
+      map.set(key, { ...data, count: 0, usedIn: new Set() });
+    }
+    const token = map.get(key);
+    token.count++;
+    token.usedIn.add(kind);
+  },
+
+  /**
+   * Nevesített @keyframes animációk lépésekkel és animált property-kkel
+   */
+  analyzeKeyframes(animationNames) {
+    const keyframes = new Map();
+
+    for (const { rule } of window.StyleSheetReader.getRules().filter(entry => entry.type === 'keyframes')) {
+      const properties = new Set();
+      const steps = [];
+
+      Array.from(rule.cssRules).forEach(frame => {
+        steps.push(frame.keyText);
+        Array.from(frame.style).forEach(property => properties.add(property));
+      });
+
+      keyframes.set(rule.name, {
+        name: rule.name,
+        steps,
+        properties: Array.from(properties),
+        usage: animationNames.get(rule.name) || 0
+      });
+    }
+
+    return Array.from(keyframes.values()).sort((a, b) => b.usage - a.usage);
+  },
+
+  /**
+   * Időtartam ezredmásodpercben ("0.2s" → 200, "150ms" → 150)
+   */
+  parseDuration(value) {
+    const match = (value || '').trim().match(/^([\d.]+)(m?s)$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+    return Math.round(number);
+  },
+
+  /**
+   * Időtartam kiírása (200 → "200ms", 1500 → "1.5s")
+   */
+  formatDuration(ms) {
+    return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+  },
+
+  /**
+   * Easing leírása előnézethez: cubic-bezier pontok vagy steps szám
+   * @returns {Object} { bezier: [x1, y1, x2, y2] | null, steps: number | null }
+   */
+  parseEasing(easing) {
+    if (easing in this.EASING_KEYWORDS) {
+      return { bezier: this.EASING_KEYWORDS[easing], steps: null };
+    }
+
+    const bezierMatch = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+    if (bezierMatch) {
+      const points = bezierMatch[1].split(',').map(value => parseFloat(value));
+      if (points.length === 4 && points.every(point => !isNaN(point))) {
+        return { bezier: points, steps: null };
+      }
+    }
+
+    if (easing === 'step-start' || easing === 'step-end') {
+      return { bezier: null, steps: 1 };
+    }
+
+    const stepsMatch = easing.match(/^steps\(\s*(\d+)/);
+    if (stepsMatch) {
+      return { bezier: null, steps: parseInt(stepsMatch[1]) };
+    }
+
+    // linear(...) és ismeretlen függvények
+    return { bezier: null, steps: null };
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.MotionAnalyzer = MotionAnalyzer;
+}
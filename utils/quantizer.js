@@ -0,0 +1,157 @@
+/**
+ * Quantizer - Median-cut (Otsu vágási ponttal) szín kvantáló modul
+ * RGBA pixel adatból (ImageData.data) kiszámolja a domináns színeket és arányukat
+ * (a popup a tab képernyőképéhez, a background service worker a képek színeihez használja)
+ */
+
+const Quantizer = {
+  /**
+   * Ennyi alfa alatt a pixel átlátszónak számít és kimarad
+   */
+  ALPHA_THRESHOLD: 128,
+
+  /**
+   * Legfeljebb ennyi pixel kerül feldolgozásra (nagyobb képnél lépésköz mintavétel)
+   */
+  MAX_SAMPLES: 40000,
+
+  /**
+   * Domináns színek median-cut eljárással (ismételt doboz vágás a leghosszabb csatorna mentén)
+   * @param {Uint8ClampedArray} data - RGBA pixel adat
+   * @param {Object} options - { colors: színek száma }
+   * @returns {Array} { hex, count, share (%) }, gyakoriság szerint csökkenő sorrendben
+   */
+  quantize(data, options = {}) {
+    const maxColors = options.colors || 8;
+    const pixels = this.samplePixels(data);
+    if (pixels.length === 0) return [];
+
+    const boxes = [this.createBox(pixels)];
+
+    while (boxes.length < maxColors) {
+      // A legnagyobb (pixelszám × kiterjedés) doboz vágása
+      const index = boxes.reduce((best, box, i) =>
+        (box.score > boxes[best].score ? i : best), 0);
+      const box = boxes[index];
+      if (box.pixels.length < 2 || box.range === 0) break;
+
+      const [first, second] = this.splitBox(box);
+      boxes.splice(index, 1, first, second);
+    }
+
+    return boxes
+      .map(box => ({
+        hex: this.toHex(this.averageColor(box.pixels)),
+        count: box.pixels.length,
+        share: Math.round(box.pixels.length / pixels.length * 1000) / 10
+      }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  /**
+   * Átlátszatlan pixelek [r, g, b] listája, egyenletes lépésközzel mintavételezve
+   */
+  samplePixels(data) {
+    const total = data.length / 4;
+    const step = Math.max(1, Math.floor(total / this.MAX_SAMPLES));
+    const pixels = [];
+
+    for (let i = 0; i < total; i += step) {
+      const offset = i * 4;
+      if (data[offset + 3] < this.ALPHA_THRESHOLD) continue;
+      pixels.push([data[offset], data[offset + 1], data[offset + 2]]);
+    }
+
+    return pixels;
+  },
+
+  /**
+   * Doboz a pixelekből: a legnagyobb kiterjedésű csatorna és a vágási prioritás
+   */
+  createBox(pixels) {
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+
+    pixels.forEach(pixel => {
+      for (let c = 0; c < 3; c++) {
+        if (pixel[c] < min[c]) min[c] = pixel[c];
+        if (pixel[c] > max[c]) max[c] = pixel[c];
+      }
+    });
+
+    const ranges = max.map((value, c) => value - min[c]);
+    const channel = ranges.indexOf(Math.max(...ranges));
+
+    return {
+      pixels,
+      channel,
+      range: ranges[channel],
+      score: pixels.length * ranges[channel]
+    };
+  },
+
+  /**
+   * Doboz kettévágása a leghosszabb csatorna mentén
+   * A vágási pont az osztályok közötti szórást maximalizálja (Otsu), így a lapos UI színek
+   * nem keverednek; ha ez nem vág ketté, a medián marad
+   */
+  splitBox(box) {
+    const channel = box.channel;
+    const histogram = new Array(256).fill(0);
+    box.pixels.forEach(pixel => histogram[pixel[channel]]++);
+
+    const total = box.pixels.length;
+    const totalSum = histogram.reduce((sum, count, value) => sum + count * value, 0);
+    let threshold = -1;
+    let bestVariance = -1;
+    let count = 0;
+    let sum = 0;
+
+    for (let value = 0; value < 255; value++) {
+      count += histogram[value];
+      sum += histogram[value] * value;
+      if (count === 0 || count === total) continue;
+
+      const meanLow = sum / count;
+      const meanHigh = (totalSum - sum) / (total - count);
+      const variance = count * (total - count) * (meanLow - meanHigh) ** 2;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = value;
+      }
+    }
+
+    const sorted = box.pixels.slice().sort((a, b) => a[channel] - b[channel]);
+    let cut = sorted.findIndex(pixel => pixel[channel] > threshold);
+    if (threshold === -1 || cut <= 0) {
+      cut = Math.floor(sorted.length / 2);
+    }
+
+    return [
+      this.createBox(sorted.slice(0, cut)),
+      this.createBox(sorted.slice(cut))
+    ];
+  },
+
+  /**
+   * Pixelek átlagszíne
+   */
+  averageColor(pixels) {
+    const sum = [0, 0, 0];
+    pixels.forEach(pixel => {
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+    });
+    return sum.map(value => Math.round(value / pixels.length));
+  },
+
+  toHex(rgb) {
+    return '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+};
+
+// Export for popup
+if (typeof window !== 'undefined') {
+  window.Quantizer = Quantizer;
+}
@@ -0,0 +1,325 @@
+/**
+ * Spacing Analyzer - Térköz, lekerekítés és árnyék elemző modul
+ * Margin, padding, gap, border-radius és box-shadow értékeket gyűjt computed style-okból és stylesheet-ekből
+ * Felismeri az alap egységet (pl. 4px vagy 8px grid), és rangsorolt skálákat készít
+ */
+
+const SpacingAnalyzer = {
+  /**
+   * Alap egység jelöltek, nagyobbtól a kisebbig
+   */
+  UNIT_CANDIDATES: [8, 6, 5, 4, 3, 2],
+
+  /**
+   * Ennyi arányú érték kell a gridre, hogy elfogadjuk alap egységnek
+   */
+  UNIT_COVERAGE: 0.8,
+
+  /**
+   * Skálánként megtartott értékek száma
+   */
+  SCALE_LIMIT: 16,
+
+  /**
+   * Fő elemző függvény
+   * @returns {Object} Alap egység, térköz és radius skála, elevation szintek
+   */
+  analyze() {
+    const samples = {
+      spacing: new Map(),
+      radius: new Map(),
+      shadow: new Map()
+    };
+
+    const rootFontSize = parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16;
+
+    // 1. StyleSheets API - CSS-ben definiált értékek
+    this.analyzeStyleSheets(samples, rootFontSize);
+
+    // 2. Computed styles - ténylegesen használt értékek
+    this.analyzeElements(samples);
+
+    const baseUnit = this.detectBaseUnit(samples.spacing);
+
+    return {
+      baseUnit,
+      spacing: this.buildScale(samples.spacing, baseUnit),
+      radii: this.buildScale(samples.radius, null),
+      elevation: this.buildElevationLevels(samples.shadow)
+    };
+  },
+
+  /**
+   * StyleSheets API elemzés (StyleSheetReader kilapított szabályain)
+   */
+  analyzeStyleSheets(samples, rootFontSize) {
+    const spacingProps = [
+      'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+      'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+      'row-gap', 'column-gap'
+    ];
+    const radiusProps = [
+      'border-top-left-radius', 'border-top-right-radius',
+      'border-bottom-right-radius', 'border-bottom-left-radius'
+    ];
+
+    for (const entry of window.StyleSheetReader.getStyleRules()) {
+      if (!window.StyleSheetReader.isActive(entry)) continue;
+
+      const style = entry.rule.style;
+
+      spacingProps.forEach(prop => {
+        this.addValue(samples.spacing, this.parseLength(style.getPropertyValue(prop), rootFontSize));
+      });
+
+      // Sarkonként azonos érték csak egyszer számít
+      new Set(radiusProps.map(prop => style.getPropertyValue(prop)).filter(Boolean)).forEach(value => {
+        this.addValue(samples.radius, this.parseRadius(value, rootFontSize));
+      });
+
+      const shadow = style.getPropertyValue('box-shadow');
+      if (shadow && shadow !== 'none' && !shadow.includes('var(')) {
+        this.addValue(samples.shadow, this.normalizeShadow(shadow, rootFontSize));
+      }
+    }
+  },
+
+  /**
+   * Computed style elemzés a látható elemeken
+   */
+  analyzeElements(samples) {
+    const skipTags = ['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'BR', 'TEMPLATE'];
+    const elements = document.querySelectorAll('body *');
+
+    elements.forEach(element => {
+      if (skipTags.includes(element.tagName)) return;
+
+      const styles = window.getComputedStyle(element);
+      if (styles.display === 'none') return;
+
+      // Az auto margin (pl. középre igazítás) számolt pixel értéke nem térköz token
+      const styleMap = element.computedStyleMap ? element.computedStyleMap() : null;
+      ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'].forEach(prop => {
+        if (this.isAuto(styleMap, prop)) return;
+        this.addValue(samples.spacing, this.parseLength(styles.getPropertyValue(prop)));
+      });
+
+      ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach(prop => {
+        this.addValue(samples.spacing, this.parseLength(styles[prop]));
+      });
+
+      // Gap csak flex/grid konténeren értelmezett
+      if (/flex|grid/.test(styles.display)) {
+        this.addValue(samples.spacing, this.parseLength(styles.rowGap));
+        this.addValue(samples.spacing, this.parseLength(styles.columnGap));
+      }
+
+      new Set([
+        styles.borderTopLeftRadius, styles.borderTopRightRadius,
+        styles.borderBottomRightRadius, styles.borderBottomLeftRadius
+      ]).forEach(value => {
+        this.addValue(samples.radius, this.parseRadius(value));
+      });
+
+      if (styles.boxShadow && styles.boxShadow !== 'none') {
+        this.addValue(samples.shadow, this.normalizeShadow(styles.boxShadow));
+      }
+    });
+  },
+
+  /**
+   * A tulajdonság computed (nem used) értéke auto-e (CSS Typed OM)
+   */
+  isAuto(styleMap, prop) {
+    if (!styleMap) return false;
+    const value = styleMap.get(prop);
+    return Boolean(value) && value.toString() === 'auto';
+  },
+
+  /**
+   * box-shadow egységes alakra: rétegenként "[inset] x y blur spread szín", px hosszakkal és rgb() színnel,
+   * így a stylesheet és a computed (Chrome: "rgba(...) 0px 2px 4px 0px") alak ugyanarra a kulcsra esik
+   * Ha egy réteg nem értelmezhető, az eredeti érték marad
+   */
+  normalizeShadow(css, rootFontSize = 16) {
+    const layers = window.StyleSheetReader.splitTopLevel(css).map(layer => this.normalizeShadowLayer(layer, rootFontSize));
+    return layers.every(Boolean) ? layers.join(', ') : css.trim();
+  },
+
+  /**
+   * Egy árnyék réteg egységes alakja, vagy null
+   */
+  normalizeShadowLayer(layer, rootFontSize) {
+    const tokens = layer.match(/[a-z-]+\([^)]*\)|\S+/gi) || [];
+    const lengths = [];
+    let inset = false;
+    let color = 'currentcolor';
+
+    for (const token of tokens) {
+      if (token.toLowerCase() === 'inset') {
+        inset = true;
+        continue;
+      }
+
+      const length = token === '0' ? 0 : this.parseShadowLength(token, rootFontSize);
+      if (length !== null) {
+        lengths.push(length);
+        continue;
+      }
+
+      if (token.toLowerCase() === 'currentcolor') continue;
+
+      const parsed = window.ColorModel.parse(token);
+      if (!parsed) return null;
+      color = window.ColorModel.toRgbString(parsed);
+    }
+
+    if (lengths.length < 2 || lengths.length > 4) return null;
+
+    const [x, y, blur = 0, spread = 0] = lengths;
+    return `${inset ? 'inset ' : ''}${x}px ${y}px ${blur}px ${spread}px ${color}`;
+  },
+
+  /**
+   * Árnyék hossz pixelben (px, rem; negatív is lehet), századra kerekítve
+   */
+  parseShadowLength(value, rootFontSize) {
+    const match = value.match(/^(-?[\d.]+)(px|rem)$/);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * (match[2] === 'rem' ? rootFontSize : 1) * 100) / 100;
+  },
+
+  /**
+   * Érték számlálása Map-ben (null és 0 kihagyva)
+   */
+  addValue(map, value) {
+    if (value === null || value === 0) return;
+    map.set(value, (map.get(value) || 0) + 1);
+  },
+
+  /**
+   * Hossz érték pixelre váltása (px, rem), fél pixelre kerekítve
+   */
+  parseLength(value, rootFontSize = 16) {
+    if (!value) return null;
+
+    const match = value.trim().match(/^(-?[\d.]+)(px|rem)$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]) * (match[2] === 'rem' ? rootFontSize : 1);
+    if (number <= 0) return null;
+
+    return Math.round(number * 2) / 2;
+  },
+
+  /**
+   * Radius érték: pixel szám, vagy 'full' kör/pill alakra
+   */
+  parseRadius(value, rootFontSize = 16) {
+    if (!value) return null;
+
+    const trimmed = value.trim();
+    if (trimmed === '50%' || trimmed === '100%') return 'full';
+
+    const px = this.parseLength(trimmed.split(/\s+/)[0], rootFontSize);
+    if (px !== null && px >= 999) return 'full';
+
+    return px;
+  },
+
+  /**
+   * Alap egység felismerése: a legnagyobb egység, aminek többszöröse az értékek nagy része
+   * A 2px alatti (hairline) értékek nem számítanak
+   */
+  detectBaseUnit(spacing) {
+    const values = Array.from(spacing.entries()).filter(([value]) => value > 2);
+    const total = values.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return null;
+
+    const coverageOf = unit => values
+      .filter(([value]) => value % unit === 0)
+      .reduce((sum, [, count]) => sum + count, 0) / total;
+
+    const candidates = this.UNIT_CANDIDATES.map(unit => ({
+      value: unit,
+      coverage: Math.round(coverageOf(unit) * 100)
+    }));
+
+    return candidates.find(candidate => candidate.coverage >= this.UNIT_COVERAGE * 100) ||
+      candidates.reduce((best, candidate) => (candidate.coverage > best.coverage ? candidate : best));
+  },
+
+  /**
+   * Rangsorolt skála: a leggyakoribb értékek, méret szerint növekvő sorrendben
+   */
+  buildScale(map, baseUnit) {
+    return Array.from(map.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.SCALE_LIMIT)
+      .map(([value, count], index) => ({
+        value,
+        count,
+        rank: index + 1,
+        onGrid: baseUnit && typeof value === 'number' ? value % baseUnit.value === 0 : null
+      }))
+      .sort((a, b) => {
+        if (a.value === 'full') return 1;
+        if (b.value === 'full') return -1;
+        return a.value - b.value;
+      });
+  },
+
+  /**
+   * Árnyékok elevation szintekbe csoportosítása
+   * Mérték: a legerősebb réteg |offsetY| + blur / 2 értéke, a 15%-on belüli árnyékok egy szintre kerülnek
+   */
+  buildElevationLevels(shadows) {
+    const parsed = Array.from(shadows.entries())
+      .map(([css, count]) => ({ css, count, metric: this.getShadowMetric(css) }))
+      .filter(shadow => shadow.metric > 0)
+      .sort((a, b) => a.metric - b.metric);
+
+    const levels = [];
+
+    parsed.forEach(shadow => {
+      const last = levels[levels.length - 1];
+      if (last && shadow.metric <= last.metric * 1.15) {
+        last.shadows.push({ css: shadow.css, count: shadow.count });
+        last.count += shadow.count;
+      } else {
+        levels.push({
+          level: levels.length + 1,
+          metric: shadow.metric,
+          count: shadow.count,
+          shadows: [{ css: shadow.css, count: shadow.count }]
+        });
+      }
+    });
+
+    // Szintenként a leggyakoribb árnyék a reprezentáns
+    levels.forEach(level => level.shadows.sort((a, b) => b.count - a.count));
+
+    return levels;
+  },
+
+  /**
+   * Árnyék erőssége; inset és fókusz gyűrű (blur és offset nélküli) rétegek 0-t adnak
+   */
+  getShadowMetric(css) {
+    return window.StyleSheetReader.splitTopLevel(css).reduce((max, layer) => {
+      if (/\binset\b/.test(layer)) return max;
+
+      // Színfüggvények eltávolítása, hogy csak a hosszak maradjanak
+      const lengths = (layer.replace(/[a-z-]+\([^)]*\)/gi, '').match(/-?[\d.]+px|\b0\b/g) || [])
+        .map(value => parseFloat(value));
+      const [, offsetY = 0, blur = 0] = lengths;
+
+      return Math.max(max, Math.abs(offsetY) + blur / 2);
+    }, 0);
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.SpacingAnalyzer = SpacingAnalyzer;
+}
@@ -0,0 +1,297 @@
+/**
+ * State Analyzer - Interaktív állapot (hover, focus, active, disabled) elemző modul
+ * A stylesheet-ek állapot szabályait a pszeudo-osztály levágása után element.matches()-szel
+ * párosítja a gombokhoz, linkekhez és űrlap mezőkhöz, és komponensenként állapot táblát készít
+ */
+
+const StateAnalyzer = {
+  /**
+   * Komponens típusok; egy elem az első illeszkedő típushoz tartozik
+   */
+  COMPONENTS: {
+    button: 'button, [type="submit"], [type="button"], .btn, .button, [class*="btn-"], [class*="button-"]',
+    link: 'a[href]',
+    input: 'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]), select, textarea'
+  },
+
+  /**
+   * Állapot jelölők a selectorban és a hozzájuk tartozó állapot
+   * A hosszabb minta előbb szerepel (:focus-visible a :focus előtt)
+   */
+  STATE_PATTERNS: [
+    [':focus-visible', 'focus-visible'],
+    [':focus', 'focus'],
+    [':hover', 'hover'],
+    [':active', 'active'],
+    [':disabled', 'disabled'],
+    ['[disabled]', 'disabled'],
+    ['[aria-disabled="true"]', 'disabled']
+  ],
+
+  /**
+   * Állapotok megjelenítési sorrendje
+   */
+  STATE_ORDER: ['default', 'hover', 'focus', 'focus-visible', 'active', 'disabled'],
+
+  /**
+   * Komponens típusonként megtartott (selector szerinti) csoportok száma
+   */
+  TARGET_LIMIT: 4,
+
+  /**
+   * Fő elemző függvény
+   * @returns {Array} Komponensenkénti állapot táblák
+   */
+  analyze() {
+    const targets = this.collectTargets();
+    if (targets.length === 0) return [];
+
+    const stateRules = this.collectStateRules();
+    const scopes = window.TokenAnalyzer.collectCustomProperties();
+
+    return targets.map(target => {
+      const defaults = this.getDefaultValues(target.element);
+      const declared = new Map();
+
+      stateRules.forEach(({ state, selector, style }) => {
+        if (!this.matches(target.element, selector)) return;
+
+        if (!declared.has(state)) {
+          declared.set(state, {});
+        }
+        // Későbbi szabály felülírja a korábbit (stylesheet sorrend, specificitás nélkül)
+        Object.assign(declared.get(state), this.getDeclaredValues(style, scopes));
+      });
+
+      const states = [{ state: 'default', values: defaults, changed: [] }];
+      declared.forEach((values, state) => {
+        const changed = Object.keys(values).filter(prop => values[prop] !== defaults[prop]);
+        if (changed.length === 0) return;
+        states.push({ state, values: { ...defaults, ...values }, changed });
+      });
+      states.sort((a, b) => this.STATE_ORDER.indexOf(a.state) - this.STATE_ORDER.indexOf(b.state));
+
+      return {
+        component: target.component,
+        selector: target.selector,
+        count: target.count,
+        states,
+        focusRing: this.getFocusRing(states)
+      };
+    });
+  },
+
+  /**
+   * Gombok, linkek és mezők csoportosítása egyszerű selector szerint
+   * @returns {Array} { component, selector, count, element (reprezentáns) }
+   */
+  collectTargets() {
+    const groups = new Map();
+    const assigned = new Set();
+
+    Object.entries(this.COMPONENTS).forEach(([component, selector]) => {
+      document.querySelectorAll(selector).forEach(element => {
+        if (assigned.has(element)) return;
+        assigned.add(element);
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const key = `${component}|${window.StyleSheetReader.getElementSelector(element)}`;
+        if (!groups.has(key)) {
+          groups.set(key, { component, selector: window.StyleSheetReader.getElementSelector(element), count: 0, element });
+        }
+        groups.get(key).count++;
+      });
+    });
+
+    const targets = [];
+    Object.keys(this.COMPONENTS).forEach(component => {
+      Array.from(groups.values())
+        .filter(group => group.component === component)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, this.TARGET_LIMIT)
+        .forEach(group => targets.push(group));
+    });
+
+    return targets;
+  },
+
+  /**
+   * Állapot pszeudo-osztályt tartalmazó szabályok, állapot jelölő nélküli selectorral
+   * @returns {Array} { state, selector, style }
+   */
+  collectStateRules() {
+    const rules = [];
+
+    for (const entry of window.StyleSheetReader.getStyleRules()) {
+      if (!window.StyleSheetReader.isActive(entry)) continue;
+
+      window.StyleSheetReader.splitTopLevel(entry.selector, ',').forEach(part => {
+        const stripped = this.stripStates(part.trim());
+        // Ős elem állapota (.card:hover .btn) nem a cél elem saját állapota
+        if (!stripped || stripped.states.size !== 1 || stripped.ancestorStates.size > 0) return;
+
+        rules.push({
+          state: Array.from(stripped.states)[0],
+          selector: stripped.selector,
+          style: entry.rule.style
+        });
+      });
+    }
+
+    return rules;
+  },
+
+  /**
+   * Állapot jelölők eltávolítása a selectorból (zárójeleken, pl. :not()-on belül nem)
+   * Ha egy összetett selector üres marad, * kerül a helyére (".nav :hover" → ".nav *")
+   * A states csak az utolsó összetett selector (a cél elem) állapotai, az ősökéi az ancestorStates-be kerülnek
+   * @returns {Object|null} { selector, states, ancestorStates } vagy null, ha nincs állapot jelölő
+   */
+  stripStates(selector) {
+    let states = new Set();
+    const ancestorStates = new Set();
+    let result = '';
+    let depth = 0;
+    let brackets = 0;
+    let index = 0;
+
+    while (index < selector.length) {
+      const char = selector[index];
+
+      if (depth === 0) {
+        const pattern = this.STATE_PATTERNS.find(([token]) =>
+          selector.startsWith(token, index) && !/[\w-]/.test(selector[index + token.length] || '')
+        );
+
+        if (pattern) {
+          const next = selector[index + pattern[0].length];
+          const prev = result[result.length - 1];
+          if ((prev === undefined || /[\s>+~]/.test(prev)) && (next === undefined || /[\s>+~]/.test(next))) {
+            result += '*';
+          }
+          states.add(pattern[1]);
+          index += pattern[0].length;
+          continue;
+        }
+      }
+
+      // Kombinátor: az eddigi állapotok egy ős elemhez tartoznak
+      if (depth === 0 && brackets === 0 && /[\s>+~]/.test(char)) {
+        states.forEach(state => ancestorStates.add(state));
+        states = new Set();
+      }
+
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === '[') brackets++;
+      if (char === ']') brackets--;
+      result += char;
+      index++;
+    }
+
+    if (states.size === 0 && ancestorStates.size === 0) return null;
+    return { selector: result.trim(), states, ancestorStates };
+  },
+
+  /**
+   * element.matches hibatűréssel (érvénytelen selector → false)
+   */
+  matches(element, selector) {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Nyugalmi állapot a computed style-ból
+   */
+  getDefaultValues(element) {
+    const styles = window.getComputedStyle(element);
+
+    return {
+      background: this.normalizeColor(styles.backgroundColor),
+      text: this.normalizeColor(styles.color),
+      border: parseFloat(styles.borderTopWidth) > 0 && styles.borderTopStyle !== 'none'
+        ? `${styles.borderTopWidth} ${styles.borderTopStyle} ${this.normalizeColor(styles.borderTopColor)}`
+        : 'none',
+      outline: styles.outlineStyle !== 'none' && parseFloat(styles.outlineWidth) > 0
+        ? `${styles.outlineWidth} ${styles.outlineStyle} ${this.normalizeColor(styles.outlineColor)}`
+        : 'none',
+      shadow: styles.boxShadow || 'none'
+    };
+  },
+
+  /**
+   * Szabályban deklarált értékek (csak a ténylegesen megadott property-k), var() feloldással
+   */
+  getDeclaredValues(style, scopes) {
+    const resolve = value => (value.includes('var(')
+      ? window.TokenAnalyzer.resolveValue(value, ':root', scopes)
+      : value);
+    const values = {};
+
+    if (style.backgroundColor) {
+      values.background = this.normalizeColor(resolve(style.backgroundColor));
+    }
+
+    if (style.color) {
+      values.text = this.normalizeColor(resolve(style.color));
+    }
+
+    if (style.borderTopColor || style.borderTopWidth || style.borderTopStyle) {
+      const border = [style.borderTopWidth, style.borderTopStyle, style.borderTopColor && this.normalizeColor(resolve(style.borderTopColor))]
+        .filter(Boolean)
+        .join(' ');
+      values.border = /^(0(px)?|none)(\s|$)/.test(border) ? 'none' : border;
+    }
+
+    if (style.outlineStyle || style.outlineWidth || style.outlineColor) {
+      const outline = [style.outlineWidth, style.outlineStyle, style.outlineColor && this.normalizeColor(resolve(style.outlineColor))]
+        .filter(Boolean)
+        .join(' ');
+      values.outline = /^(0(px)?|none)(\s|$)/.test(outline) || / none(\s|$)/.test(outline) ? 'none' : outline;
+    }
+
+    if (style.boxShadow) {
+      values.shadow = resolve(style.boxShadow);
+    }
+
+    return values;
+  },
+
+  /**
+   * Szín érték HEX formára, ha lehet; átlátszó → 'transparent', egyébként változatlan
+   * (currentcolor, inherit és var() nem értelmezhető szín, így változatlan marad)
+   */
+  normalizeColor(value) {
+    const parsed = window.ColorModel.parse(value);
+    if (!parsed) return value;
+    return parsed.alpha === 0 ? 'transparent' : window.ColorModel.toHex(parsed);
+  },
+
+  /**
+   * Fókusz jelzés típusa: custom (outline/shadow/border változik), removed (outline: none pótlás nélkül),
+   * default (nincs fókusz szabály, a böngésző alapértelmezése marad)
+   */
+  getFocusRing(states) {
+    const focusStates = states.filter(state => state.state === 'focus' || state.state === 'focus-visible');
+    if (focusStates.length === 0) return 'default';
+
+    const hasIndicator = focusStates.some(state =>
+      state.changed.some(prop => ['outline', 'shadow', 'border', 'background'].includes(prop) &&
+        state.values[prop] !== 'none')
+    );
+    if (hasIndicator) return 'custom';
+
+    return focusStates.some(state => state.changed.includes('outline')) ? 'removed' : 'default';
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.StateAnalyzer = StateAnalyzer;
+}
@@ -0,0 +1,389 @@
+/**
+ * StyleSheet Reader - Közös CSS szabály forrás az elemzőknek
+ * Beolvassa az oldal összes stylesheet-jét: a közvetlenül olvashatókat a CSSOM-ból,
+ * a cross-origin (CDN) stylesheet-eket a background service workerrel letöltve
+ * A @media, @supports, @layer, @container és beágyazott szabályokat kilapítja,
+ * a feltételeket szabályonként megőrzi
+ */
+
+const StyleSheetReader = {
+  /**
+   * Utolsó load() eredménye: { type, rule, selector, conditions }
+   */
+  entries: [],
+
+  /**
+   * Utolsó load() statisztikája
+   */
+  stats: { direct: 0, fetched: 0, failed: 0, rules: 0 },
+
+  /**
+   * Letöltött stylesheet szövegek URL szerint (oldalon belüli cache)
+   */
+  cache: new Map(),
+
+  /**
+   * Letöltött (constructable) stylesheet-ek eredeti URL-je, relatív url()-ek feloldásához
+   */
+  baseUrls: new WeakMap(),
+
+  /**
+   * Összes stylesheet beolvasása
+   * @returns {Promise<Object>} Statisztika: közvetlenül olvasott, letöltött, sikertelen
+   */
+  async load() {
+    this.entries = [];
+    this.stats = { direct: 0, fetched: 0, failed: 0, rules: 0 };
+
+    const visited = new Set();
+
+    const sheets = [...Array.from(document.styleSheets), ...(document.adoptedStyleSheets || [])];
+
+    for (const sheet of sheets) {
+      await this.readSheet(sheet, this.getSheetConditions(sheet), visited);
+    }
+
+    this.stats.rules = this.entries.length;
+    return { ...this.stats };
+  },
+
+  /**
+   * Összes kilapított szabály
+   */
+  getRules() {
+    return this.entries;
+  },
+
+  /**
+   * Csak a stílus szabályok (selector + deklarációk)
+   */
+  getStyleRules() {
+    return this.entries.filter(entry => entry.type === 'style');
+  },
+
+  /**
+   * A szabály stylesheet-jének URL-je (relatív url() hivatkozások alapja)
+   */
+  getBaseUrl(rule) {
+    const sheet = rule.parentStyleSheet;
+    if (!sheet) return document.baseURI;
+    return this.baseUrls.get(sheet) || sheet.href || document.baseURI;
+  },
+
+  /**
+   * Ellenőrzi hogy a szabály feltételei az aktuális oldalon teljesülnek-e
+   * @media: matchMedia, @supports: CSS.supports, a többi feltétel mindig aktív
+   */
+  isActive(entry) {
+    return entry.conditions.every(condition => {
+      try {
+        if (condition.type === 'media') return window.matchMedia(condition.text).matches;
+        if (condition.type === 'supports') return CSS.supports(condition.text);
+      } catch (e) {
+        // Invalid condition, treat as active
+      }
+      return true;
+    });
+  },
+
+  /**
+   * Egy stylesheet beolvasása, olvashatatlan esetén letöltése
+   */
+  async readSheet(sheet, conditions, visited) {
+    if (!sheet) return;
+
+    if (sheet.href) {
+      if (visited.has(sheet.href)) return;
+      visited.add(sheet.href);
+    }
+
+    let rules = null;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      // Cross-origin stylesheet, letöltés szükséges
+    }
+
+    if (rules) {
+      this.stats.direct++;
+      await this.collectRules(rules, conditions, null, visited);
+      return;
+    }
+
+    if (!sheet.href) {
+      this.stats.failed++;
+      return;
+    }
+
+    await this.readRemoteSheet(sheet.href, conditions, visited);
+  },
+
+  /**
+   * Cross-origin stylesheet letöltése és feldolgozása
+   * A constructable CSSStyleSheet a @import szabályokat eldobja, ezeket külön töltjük le
+   */
+  async readRemoteSheet(href, conditions, visited) {
+    try {
+      const text = await this.fetchStyleSheet(href);
+      const parsed = new CSSStyleSheet({ baseURL: href });
+      parsed.replaceSync(text);
+      this.baseUrls.set(parsed, href);
+
+      this.stats.fetched++;
+
+      const imports = this.extractImports(text, href).filter(({ url }) => !visited.has(url));
+      imports.forEach(({ url }) => visited.add(url));
+
+      // Testvér importok letöltése párhuzamosan (cache-be), a feldolgozás sorrendben marad
+      await Promise.all(imports.map(({ url }) => this.fetchStyleSheet(url).catch(() => null)));
+
+      // A kaszkádban az importált szabályok megelőzik a lap saját szabályait
+      for (const { url, conditions: importConditions } of imports) {
+        await this.readRemoteSheet(url, [...conditions, ...importConditions], visited);
+      }
+
+      await this.collectRules(parsed.cssRules, conditions, null, visited);
+    } catch (e) {
+      this.stats.failed++;
+      console.log('Stylesheet fetch failed:', href, e.message);
+    }
+  },
+
+  /**
+   * Stylesheet szöveg letöltése a background service workeren keresztül
+   */
+  async fetchStyleSheet(url) {
+    if (this.cache.has(url)) return this.cache.get(url);
+
+    const response = await chrome.runtime.sendMessage({ action: 'fetchText', url });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'Nincs válasz');
+    }
+
+    this.cache.set(url, response.text);
+    return response.text;
+  },
+
+  /**
+   * @import URL-ek és feltételek (layer, supports, media) kinyerése CSS szövegből
+   * @returns {Array} { url, conditions }
+   */
+  extractImports(text, baseUrl) {
+    const imports = [];
+    const pattern = /@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?\s*\)?([^;]*);/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      try {
+        imports.push({
+          url: new URL(match[1], baseUrl).href,
+          conditions: this.parseImportConditions(match[2])
+        });
+      } catch (e) {
+        // Invalid URL, skip
+      }
+    }
+
+    return imports;
+  },
+
+  /**
+   * @import URL utáni rész: [layer | layer(név)] [supports(...)] [media lista]
+   */
+  parseImportConditions(tail) {
+    const conditions = [];
+    let rest = tail.trim();
+
+    const layer = rest.match(/^layer(?:\(\s*([^)]*?)\s*\))?(?=\s|$)/i);
+    if (layer) {
+      conditions.push({ type: 'layer', text: layer[1] || '(anonymous)' });
+      rest = rest.slice(layer[0].length).trim();
+    }
+
+    if (/^supports\(/i.test(rest)) {
+      // Kiegyensúlyozott zárójelek a supports() feltételen belül
+      let depth = 0;
+      let end = -1;
+      for (let i = 'supports'.length; i < rest.length; i++) {
+        if (rest[i] === '(') depth++;
+        if (rest[i] === ')' && --depth === 0) {
+          end = i;
+          break;
+        }
+      }
+      if (end !== -1) {
+        conditions.push({ type: 'supports', text: `(${rest.slice('supports('.length, end).trim()})` });
+        rest = rest.slice(end + 1).trim();
+      }
+    }
+
+    if (rest) {
+      conditions.push({ type: 'media', text: rest });
+    }
+
+    return conditions;
+  },
+
+  /**
+   * Szabálylista rekurzív kilapítása
+   * @param {CSSRuleList} rules
+   * @param {Array} conditions - Öröklött feltételek: { type: media|supports|layer|container, text }
+   * @param {string|null} parentSelector - Beágyazott (CSS nesting) szabályok szülő selectora
+   */
+  async collectRules(rules, conditions, parentSelector, visited) {
+    for (const rule of Array.from(rules)) {
+      if (rule instanceof CSSImportRule) {
+        const importConditions = [...conditions];
+        if (typeof rule.layerName === 'string') {
+          importConditions.push({ type: 'layer', text: rule.layerName || '(anonymous)' });
+        }
+        if (rule.supportsText) {
+          importConditions.push({ type: 'supports', text: rule.supportsText });
+        }
+        const media = rule.media && rule.media.mediaText;
+        if (media) {
+          importConditions.push({ type: 'media', text: media });
+        }
+        await this.readSheet(rule.styleSheet, importConditions, visited);
+        continue;
+      }
+
+      if (rule instanceof CSSStyleRule) {
+        const selector = this.resolveNestedSelector(rule.selectorText || '', parentSelector);
+        this.entries.push({ type: 'style', rule, selector, conditions });
+
+        if (rule.cssRules && rule.cssRules.length > 0) {
+          await this.collectRules(rule.cssRules, conditions, selector, visited);
+        }
+        continue;
+      }
+
+      // Beágyazott @media/@supports közvetlen deklarációi (Chrome 130+)
+      if (typeof CSSNestedDeclarations !== 'undefined' && rule instanceof CSSNestedDeclarations) {
+        this.entries.push({ type: 'style', rule, selector: parentSelector || '', conditions });
+        continue;
+      }
+
+      const condition = this.getRuleCondition(rule);
+      if (condition || (rule.cssRules && !(rule instanceof CSSKeyframesRule))) {
+        const nextConditions = condition ? [...conditions, condition] : conditions;
+        await this.collectRules(rule.cssRules, nextConditions, parentSelector, visited);
+        continue;
+      }
+
+      if (rule instanceof CSSFontFaceRule) {
+        this.entries.push({ type: 'fontFace', rule, selector: '', conditions });
+      } else if (rule instanceof CSSKeyframesRule) {
+        this.entries.push({ type: 'keyframes', rule, selector: '', conditions });
+      }
+    }
+  },
+
+  /**
+   * Csoportosító szabály feltétele (@media, @supports, @layer, @container)
+   */
+  getRuleCondition(rule) {
+    if (rule instanceof CSSMediaRule) {
+      return { type: 'media', text: rule.conditionText || rule.media.mediaText };
+    }
+    if (rule instanceof CSSSupportsRule) {
+      return { type: 'supports', text: rule.conditionText };
+    }
+    if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+      return { type: 'layer', text: rule.name || '(anonymous)' };
+    }
+    if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+      return { type: 'container', text: rule.conditionText || rule.containerQuery || '' };
+    }
+    return null;
+  },
+
+  /**
+   * Stylesheet szintű media feltétel (pl. <link media="print">)
+   */
+  getSheetConditions(sheet) {
+    const media = sheet.media && sheet.media.mediaText;
+    return media && media !== 'all' ? [{ type: 'media', text: media }] : [];
+  },
+
+  /**
+   * Beágyazott selector feloldása a szülő selectorral (& helyettesítés)
+   */
+  resolveNestedSelector(selector, parentSelector) {
+    if (!parentSelector) return selector;
+
+    const parent = parentSelector.includes(',') ? `:is(${parentSelector})` : parentSelector;
+
+    return this.splitTopLevel(selector, ',')
+      .map(part => {
+        const sel = part.trim();
+        return sel.includes('&') ? sel.replace(/&/g, parent) : `${parent} ${sel}`;
+      })
+      .join(', ');
+  },
+
+  /**
+   * Szöveg darabolása elválasztó mentén, zárójeleken belül nem vág (selector lista, gradient
+   * argumentumok, box-shadow rétegek, transition listák); üres darabok a végéről elmaradnak
+   */
+  splitTopLevel(value, separator = ',') {
+    if (!value) return [];
+
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  },
+
+  /**
+   * A nyitó zárójelhez tartozó záró zárójel pozíciója (-1, ha nincs lezárva)
+   */
+  findClosingParen(value, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      if (value[i] === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  },
+
+  /**
+   * Get a simple selector for an element
+   */
+  getElementSelector(element) {
+    if (element.id) {
+      return `#${element.id}`;
+    }
+
+    if (element.className && typeof element.className === 'string') {
+      const mainClass = element.className.split(' ')[0];
+      if (mainClass) {
+        return `${element.tagName.toLowerCase()}.${mainClass}`;
+      }
+    }
+
+    return element.tagName.toLowerCase();
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.StyleSheetReader = StyleSheetReader;
+}
@@ -0,0 +1,329 @@
+/**
+ * Theme Analyzer - Világos/sötét téma elemző modul
+ * Felismeri az oldal téma mechanizmusait (@media prefers-color-scheme, data-theme attribútum, .dark osztály),
+ * témánként külön palettát készít és párosítja a szerepköröket (light ↔ dark)
+ */
+
+const ThemeAnalyzer = {
+  /**
+   * Téma attribútumok, amelyeket html/body elemen keresünk
+   */
+  THEME_ATTRIBUTES: ['data-theme', 'data-mode', 'data-color-scheme', 'data-bs-theme'],
+
+  /**
+   * Téma osztálynevek és a hozzájuk tartozó téma
+   */
+  THEME_CLASSES: {
+    'dark': 'dark',
+    'light': 'light',
+    'theme-dark': 'dark',
+    'theme-light': 'light',
+    'dark-theme': 'dark',
+    'light-theme': 'light',
+    'dark-mode': 'dark',
+    'light-mode': 'light'
+  },
+
+  /**
+   * Átmenetek tiltása a téma váltás idejére, hogy a computed style azonnal a végleges értéket adja
+   */
+  NO_TRANSITION_CSS: '*, *::before, *::after { transition: none !important; animation: none !important; }',
+
+  /**
+   * Fő elemző függvény
+   * @param {Array} basePalette - Az aktuális téma palettája (ColorAnalyzer.analyze())
+   * @returns {Object|null} Mechanizmusok, témánkénti paletták és szerepkör párosítás
+   */
+  analyze(basePalette) {
+    const mechanisms = this.detectMechanisms();
+    if (mechanisms.length === 0) return null;
+
+    const current = this.detectCurrentTheme(mechanisms);
+    const themes = [{ name: current, method: 'current', mechanism: null, palette: basePalette }];
+
+    const other = current === 'dark' ? 'light' : 'dark';
+    const variant = this.analyzeTheme(other, mechanisms);
+    if (variant) {
+      themes.push({ name: other, ...variant });
+    }
+
+    return {
+      mechanisms,
+      current,
+      themes,
+      mapping: this.buildMapping(themes)
+    };
+  },
+
+  /**
+   * Téma mechanizmusok felderítése a stylesheet szabályokból
+   */
+  detectMechanisms() {
+    const mechanisms = new Map();
+
+    const add = (key, mechanism) => {
+      if (mechanisms.has(key)) {
+        mechanisms.get(key).ruleCount++;
+      } else {
+        mechanisms.set(key, { ...mechanism, ruleCount: 1 });
+      }
+    };
+
+    for (const { selector, conditions } of window.StyleSheetReader.getStyleRules()) {
+      conditions.forEach(condition => {
+        const match = condition.type === 'media' && condition.text.match(/prefers-color-scheme\s*:\s*(dark|light)/i);
+        if (match) {
+          const theme = match[1].toLowerCase();
+          add(`media:${theme}`, {
+            type: 'media',
+            theme,
+            label: `@media (prefers-color-scheme: ${theme})`,
+            toggleable: false
+          });
+        }
+      });
+
+      this.findThemeTokens(selector).forEach(token => {
+        add(token.label, {
+          ...token,
+          toggleable: true
+        });
+      });
+    }
+
+    return Array.from(mechanisms.values()).sort((a, b) => b.ruleCount - a.ruleCount);
+  },
+
+  /**
+   * Téma attribútum és osztály tokenek egy selectorban
+   * @returns {Array} { type, theme, attribute|className, value, target, label }
+   */
+  findThemeTokens(selector) {
+    const tokens = [];
+    if (!selector) return tokens;
+
+    const attrPattern = new RegExp(`(body)?\\[(${this.THEME_ATTRIBUTES.join('|')})\\s*=\\s*["']?(dark|light)["']?\\s*\\]`, 'gi');
+    let match;
+    while ((match = attrPattern.exec(selector)) !== null) {
+      const attribute = match[2].toLowerCase();
+      const value = match[3].toLowerCase();
+      tokens.push({
+        type: 'attribute',
+        theme: value,
+        attribute,
+        value,
+        target: match[1] ? 'body' : 'html',
+        label: `[${attribute}="${value}"]`
+      });
+    }
+
+    const classPattern = new RegExp(`(body)?\\.(${Object.keys(this.THEME_CLASSES).join('|')})(?![\\w-])`, 'gi');
+    while ((match = classPattern.exec(selector)) !== null) {
+      const className = match[2].toLowerCase();
+      tokens.push({
+        type: 'class',
+        theme: this.THEME_CLASSES[className],
+        className,
+        target: match[1] ? 'body' : 'html',
+        label: `.${className}`
+      });
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Ellenőrzi hogy a selector egy jelenleg nem aktív témához tartozik-e
+   * (pl. ".dark .btn", miközben egyik elemen sincs .dark osztály)
+   */
+  isInactiveThemeRule(selector) {
+    return this.findThemeTokens(selector).some(token => {
+      const tokenSelector = token.type === 'class'
+        ? `.${token.className}`
+        : `[${token.attribute}="${token.value}"]`;
+      try {
+        return !document.querySelector(tokenSelector);
+      } catch (e) {
+        return false;
+      }
+    });
+  },
+
+  /**
+   * Az aktuálisan megjelenő téma
+   */
+  detectCurrentTheme(mechanisms) {
+    const applied = mechanisms.find(mechanism => mechanism.toggleable && this.isApplied(mechanism));
+    if (applied) return applied.theme;
+
+    const hasMedia = mechanisms.some(mechanism => mechanism.type === 'media');
+    if (hasMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      return 'dark';
+    }
+
+    return 'light';
+  },
+
+  /**
+   * Ellenőrzi hogy a mechanizmus jelenleg aktív-e a cél elemen
+   */
+  isApplied(mechanism) {
+    const target = this.getTarget(mechanism);
+    if (!target) return false;
+
+    if (mechanism.type === 'attribute') {
+      return (target.getAttribute(mechanism.attribute) || '').toLowerCase() === mechanism.value;
+    }
+    return target.classList.contains(mechanism.className);
+  },
+
+  /**
+   * html vagy body elem a mechanizmus célpontjaként
+   */
+  getTarget(mechanism) {
+    return mechanism.target === 'body' ? document.body : document.documentElement;
+  },
+
+  /**
+   * Másik téma elemzése: osztály/attribútum váltással, ha lehet, különben a media szabályokból
+   * @returns {Object|null} { method, mechanism, palette }
+   */
+  analyzeTheme(theme, mechanisms) {
+    const palette = this.analyzeWithToggle(theme, mechanisms);
+    if (palette) {
+      const mechanism = mechanisms.find(m => m.toggleable && m.theme === theme) ||
+        mechanisms.find(m => m.toggleable);
+      return { method: 'toggle', mechanism: mechanism.label, palette };
+    }
+
+    const media = mechanisms.find(m => m.type === 'media' && m.theme === theme);
+    if (media) {
+      return { method: 'stylesheet', mechanism: media.label, palette: this.analyzeMediaTheme(theme) };
+    }
+
+    return null;
+  },
+
+  /**
+   * Téma átkapcsolása, kulcs elemek újraelemzése, majd visszaállítás
+   * Csak html/body osztályt vagy attribútumot módosít, minden esetben visszaállítja
+   */
+  analyzeWithToggle(theme, mechanisms) {
+    const toggleable = mechanisms.filter(m => m.toggleable);
+    const enable = toggleable.find(m => m.theme === theme);
+    const disable = toggleable.filter(m => m.theme !== theme && this.isApplied(m));
+
+    if (!enable && disable.length === 0) return null;
+
+    const snapshot = this.takeSnapshot();
+    const blocker = document.createElement('style');
+    blocker.textContent = this.NO_TRANSITION_CSS;
+    (document.head || document.documentElement).appendChild(blocker);
+
+    try {
+      disable.forEach(mechanism => this.setApplied(mechanism, false));
+      if (enable) this.setApplied(enable, true);
+
+      const colors = window.ColorAnalyzer.createColorMaps();
+      window.ColorAnalyzer.analyzeStyleSheets(colors);
+      window.ColorAnalyzer.analyzeKeyElements(colors);
+      return window.ColorAnalyzer.summarize(colors);
+    } finally {
+      this.restoreSnapshot(snapshot);
+      // Stílus újraszámolás kikényszerítése, mielőtt az átmenetek visszakapcsolnak
+      void window.getComputedStyle(document.documentElement).color;
+      blocker.remove();
+    }
+  },
+
+  /**
+   * Csak media feltételű téma: a prefers-color-scheme szabályok színei
+   */
+  analyzeMediaTheme(theme) {
+    const pattern = new RegExp(`prefers-color-scheme\\s*:\\s*${theme}`, 'i');
+    const colors = window.ColorAnalyzer.createColorMaps();
+
+    window.ColorAnalyzer.analyzeStyleSheets(colors, entry =>
+      entry.conditions.some(condition => condition.type === 'media' && pattern.test(condition.text))
+    );
+
+    return window.ColorAnalyzer.summarize(colors);
+  },
+
+  /**
+   * Mechanizmus be/kikapcsolása a cél elemen
+   * Attribútum kikapcsolásakor a másik téma értéke kerül be (eltávolítás helyett),
+   * hogy a kifejezetten [data-theme="light"]-ra írt szabályok is érvényesüljenek
+   */
+  setApplied(mechanism, enabled) {
+    const target = this.getTarget(mechanism);
+    if (!target) return;
+
+    if (mechanism.type === 'attribute') {
+      const opposite = mechanism.value === 'dark' ? 'light' : 'dark';
+      target.setAttribute(mechanism.attribute, enabled ? mechanism.value : opposite);
+    } else {
+      target.classList.toggle(mechanism.className, enabled);
+    }
+  },
+
+  /**
+   * html és body class + téma attribútumok mentése
+   */
+  takeSnapshot() {
+    return [document.documentElement, document.body]
+      .filter(Boolean)
+      .map(element => ({
+        element,
+        attributes: ['class', ...this.THEME_ATTRIBUTES].map(name => [name, element.getAttribute(name)])
+      }));
+  },
+
+  /**
+   * Mentett attribútumok visszaállítása
+   */
+  restoreSnapshot(snapshot) {
+    snapshot.forEach(({ element, attributes }) => {
+      attributes.forEach(([name, value]) => {
+        if (value === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, value);
+        }
+      });
+    });
+  },
+
+  /**
+   * Szerepkör párosítás: kategóriánként azonos helyezésű színek light ↔ dark
+   */
+  buildMapping(themes) {
+    const light = themes.find(theme => theme.name === 'light');
+    const dark = themes.find(theme => theme.name === 'dark');
+    if (!light || !dark) return [];
+
+    const categories = ['Primary', 'Accent', 'Background', 'Foreground', 'Border'];
+    const mapping = [];
+
+    categories.forEach(category => {
+      const lightColors = light.palette.filter(color => color.category === category).slice(0, 3);
+      const darkColors = dark.palette.filter(color => color.category === category).slice(0, 3);
+      const count = Math.max(lightColors.length, darkColors.length);
+
+      for (let i = 0; i < count; i++) {
+        mapping.push({
+          role: i === 0 ? category : `${category} ${i + 1}`,
+          light: lightColors[i] ? lightColors[i].hex : null,
+          dark: darkColors[i] ? darkColors[i].hex : null
+        });
+      }
+    });
+
+    return mapping;
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.ThemeAnalyzer = ThemeAnalyzer;
+}
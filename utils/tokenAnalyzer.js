@@ -0,0 +1,213 @@
+/**
+ * Token Analyzer - Design token (CSS custom property) elemző modul
+ * Kinyeri a :root, html, body és téma selectorokon deklarált --* változókat,
+ * feloldja a var() láncokat és érték típus szerint osztályozza őket
+ * Típusok: color, length, font, shadow, duration, other
+ */
+
+const TokenAnalyzer = {
+  /**
+   * Fő elemző függvény
+   * @returns {Array} Design tokenek feloldott értékkel és típussal
+   */
+  analyze() {
+    const scopes = this.collectCustomProperties();
+    const tokens = [];
+
+    scopes.forEach((declarations, selector) => {
+      declarations.forEach((raw, name) => {
+        const value = this.resolveValue(raw, selector, scopes);
+        tokens.push({
+          name,
+          value,
+          raw,
+          type: this.classify(value),
+          selector
+        });
+      });
+    });
+
+    const typeOrder = ['color', 'length', 'font', 'shadow', 'duration', 'other'];
+    return tokens.sort((a, b) =>
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.name.localeCompare(b.name)
+    );
+  },
+
+  /**
+   * Custom property-k gyűjtése selectoronként
+   * @returns {Map<string, Map<string, string>>} (feltételek +) selector -> (név -> nyers érték)
+   */
+  collectCustomProperties() {
+    const scopes = new Map();
+
+    for (const { rule, selector: ruleSelector, conditions } of window.StyleSheetReader.getStyleRules()) {
+      if (!this.isTokenScope(ruleSelector.trim())) continue;
+
+      // Feltételes (@media, @supports...) deklarációk külön scope-ba kerülnek
+      const selector = [...conditions.map(c => `@${c.type} ${c.text}`), ruleSelector.trim()].join(' ');
+
+      for (const property of rule.style) {
+        if (!property.startsWith('--')) continue;
+
+        const value = rule.style.getPropertyValue(property).trim();
+        if (!value) continue;
+
+        if (!scopes.has(selector)) {
+          scopes.set(selector, new Map());
+        }
+        // Későbbi deklaráció felülírja a korábbit (kaszkád sorrend)
+        scopes.get(selector).set(property, value);
+      }
+    }
+
+    return scopes;
+  },
+
+  /**
+   * Ellenőrzi hogy a selector token scope-e (:root, html, body vagy téma selector)
+   */
+  isTokenScope(selector) {
+    if (!selector) return false;
+
+    const rootPattern = /^(:root|html|body|:host)([.[:#][^\s>+~]*)?$/i;
+    const themePattern = /^(\.(dark|light|theme-[\w-]+|[\w-]+-theme|[\w-]+-mode)|\[data-(theme|mode|color-scheme|bs-theme)[^\]]*\])$/i;
+
+    return selector.split(',').some(part => {
+      const sel = part.trim();
+      return rootPattern.test(sel) || themePattern.test(sel);
+    });
+  },
+
+  /**
+   * var() hivatkozások rekurzív feloldása
+   * Először a saját scope-ban keres, utána a root scope-okban, végül a computed style-ban
+   */
+  resolveValue(value, selector, scopes, seen = new Set()) {
+    let result = '';
+    let index = 0;
+
+    while (index < value.length) {
+      const start = value.indexOf('var(', index);
+      if (start === -1) {
+        result += value.slice(index);
+        break;
+      }
+
+      const end = window.StyleSheetReader.findClosingParen(value, start + 3);
+      if (end === -1) {
+        result += value.slice(index);
+        break;
+      }
+
+      result += value.slice(index, start);
+
+      const inner = value.slice(start + 4, end);
+      const commaIndex = this.findTopLevelComma(inner);
+      const name = (commaIndex === -1 ? inner : inner.slice(0, commaIndex)).trim();
+      const fallback = commaIndex === -1 ? null : inner.slice(commaIndex + 1).trim();
+
+      const referenced = seen.has(name) ? null : this.lookup(name, selector, scopes);
+
+      if (referenced !== null) {
+        const nextSeen = new Set(seen).add(name);
+        result += this.resolveValue(referenced, selector, scopes, nextSeen);
+      } else if (fallback !== null) {
+        result += this.resolveValue(fallback, selector, scopes, seen);
+      } else {
+        // Feloldhatatlan vagy körkörös hivatkozás, eredeti formában marad
+        result += value.slice(start, end + 1);
+      }
+
+      index = end + 1;
+    }
+
+    return result.trim();
+  },
+
+  /**
+   * Custom property nyers értékének keresése
+   */
+  lookup(name, selector, scopes) {
+    const own = scopes.get(selector);
+    if (own && own.has(name)) return own.get(name);
+
+    for (const [scopeSelector, declarations] of scopes) {
+      if (/^(:root|html|body)$/i.test(scopeSelector) && declarations.has(name)) {
+        return declarations.get(name);
+      }
+    }
+
+    const computed = window.getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return computed || null;
+  },
+
+  /**
+   * Első nem zárójelezett vessző pozíciója
+   */
+  findTopLevelComma(value) {
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      if (value[i] === ')') depth--;
+      if (value[i] === ',' && depth === 0) return i;
+    }
+    return -1;
+  },
+
+  /**
+   * Árnyék-e: érvényes box-shadow, ami színt vagy inset-et tartalmaz, vagy legalább 3 hosszt,
+   * de nem puszta térköz rövidítés (a "0 2px 4px" margin/padding is lehet)
+   */
+  isShadow(value, lengthCount) {
+    if (!CSS.supports('box-shadow', value)) return false;
+
+    const tokens = value.match(/[a-z-]+\([^)]*\)|#[\da-f]+|[a-z-]+/gi) || [];
+    const hasColor = tokens.some(token => !/^(inset|none)$/i.test(token) && CSS.supports('color', token));
+    if (hasColor || /\binset\b/i.test(value)) return true;
+
+    return lengthCount >= 3 && !CSS.supports('margin', value);
+  },
+
+  /**
+   * Feloldott érték osztályozása típus szerint
+   */
+  classify(value) {
+    if (!value || value.includes('var(')) return 'other';
+
+    const lengthPattern = /-?\d*\.?\d+(px|r?em|%|vh|vw|vmin|vmax|ch|ex|pt|cqi|cqw)|\b0\b/gi;
+    const lengthCount = (value.match(lengthPattern) || []).length;
+
+    if (/^-?\d*\.?\d+m?s(\s*,\s*-?\d*\.?\d+m?s)*$/i.test(value)) {
+      return 'duration';
+    }
+
+    if (CSS.supports('color', value) && !/^(inherit|initial|unset|revert|currentcolor)$/i.test(value)) {
+      return 'color';
+    }
+
+    if (lengthCount === 1 && CSS.supports('width', value)) {
+      return 'length';
+    }
+
+    if (lengthCount >= 2 && this.isShadow(value, lengthCount)) {
+      return 'shadow';
+    }
+
+    // Térköz / lekerekítés rövidítés (pl. --space-inset: 8px 16px, --radius: 4px 8px, 0 auto)
+    if (lengthCount >= 1 && (CSS.supports('margin', value) || CSS.supports('border-radius', value))) {
+      return 'length';
+    }
+
+    if (CSS.supports('font-family', value) &&
+        (value.includes(',') || /["']/.test(value) || /\b(serif|sans-serif|monospace|cursive|fantasy|system-ui)\b/i.test(value))) {
+      return 'font';
+    }
+
+    return 'other';
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.TokenAnalyzer = TokenAnalyzer;
+}
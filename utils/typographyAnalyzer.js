@@ -4,15 +4,70 @@
  */
 
 const TypographyAnalyzer = {
+  /**
+   * Ismert moduláris skála arányok
+   */
+  SCALE_RATIOS: [
+    { value: 1.067, name: 'Minor Second' },
+    { value: 1.125, name: 'Major Second' },
+    { value: 1.2, name: 'Minor Third' },
+    { value: 1.25, name: 'Major Third' },
+    { value: 1.333, name: 'Perfect Fourth' },
+    { value: 1.414, name: 'Augmented Fourth' },
+    { value: 1.5, name: 'Perfect Fifth' },
+    { value: 1.618, name: 'Golden Ratio' }
+  ],
+
+  /**
+   * Ennyi relatív eltérésen belül számít egy méret a skálára esőnek
+   */
+  SCALE_TOLERANCE: 0.03,
+
+  /**
+   * Megtartott szöveg stílusok száma
+   */
+  TEXT_STYLE_LIMIT: 16,
+
+  /**
+   * OpenType és variable font property-k az alapértékükkel (csak az ettől eltérő értékek számítanak)
+   */
+  FONT_FEATURE_PROPERTIES: {
+    'font-variation-settings': 'normal',
+    'font-feature-settings': 'normal',
+    'font-variant-numeric': 'normal',
+    'font-variant-ligatures': 'normal',
+    'font-variant-caps': 'normal',
+    'font-variant-east-asian': 'normal',
+    'font-variant-position': 'normal',
+    'font-variant-alternates': 'normal',
+    'font-optical-sizing': 'auto',
+    'font-kerning': 'auto'
+  },
+
+  /**
+   * Generikus font családok (mindig renderelhetők, a böngésző választja ki a tényleges fontot)
+   */
+  GENERIC_FAMILIES: [
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+    'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong'
+  ],
+
   /**
    * Fő elemző függvény
    * @returns {Object} Tipográfia adatok
    */
   analyze() {
+    const scale = this.analyzeTypeScale();
+    const textStyleGroups = this.collectTextStyles();
+
     return {
       fontFamilies: this.analyzeFontFamilies(),
       headings: this.analyzeHeadings(),
-      body: this.analyzeBodyText()
+      body: this.analyzeBodyText(),
+      scale,
+      textStyles: this.analyzeTextStyles(textStyleGroups, scale ? scale.base : 16),
+      variableFonts: this.analyzeVariableFonts(textStyleGroups),
+      audit: this.analyzeConsistency(textStyleGroups, scale)
     };
   },
 
@@ -110,6 +165,628 @@ const TypographyAnalyzer = {
     };
   },
 
+  /**
+   * Teljes típus skála: minden renderelt font-size a lefedett szöveg hosszával súlyozva,
+   * alap méret és a legjobban illeszkedő moduláris arány
+   * @returns {Object|null} { base, ratio, sizes }
+   */
+  analyzeTypeScale() {
+    const sizes = this.collectFontSizes();
+    if (sizes.size < 2) return null;
+
+    const entries = Array.from(sizes.entries()).map(([size, chars]) => ({ size, chars }));
+    const totalChars = entries.reduce((sum, entry) => sum + entry.chars, 0);
+
+    // Alap méret: a legtöbb szöveget lefedő méret a tipikus body tartományban (12-20px)
+    const bodyRange = entries.filter(entry => entry.size >= 12 && entry.size <= 20);
+    const base = (bodyRange.length ? bodyRange : entries)
+      .reduce((best, entry) => (entry.chars > best.chars ? entry : best)).size;
+
+    const ratio = this.fitScaleRatio(entries, base);
+    const logRatio = Math.log(ratio.value);
+
+    return {
+      base,
+      ratio,
+      sizes: entries
+        .map(entry => {
+          const step = Math.round(Math.log(entry.size / base) / logRatio);
+          const expected = Math.round(base * Math.pow(ratio.value, step) * 100) / 100;
+          return {
+            size: entry.size,
+            share: Math.round((entry.chars / totalChars) * 1000) / 10,
+            step,
+            expected,
+            onScale: Math.abs(entry.size / expected - 1) <= this.SCALE_TOLERANCE
+          };
+        })
+        .sort((a, b) => b.size - a.size)
+    };
+  },
+
+  /**
+   * Látható szöveg csomópontok font-size értékei (fél pixelre kerekítve) → karakterszám
+   */
+  collectFontSizes() {
+    const sizes = new Map();
+    const elementSizes = new Map();
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+
+    let node;
+    while ((node = walker.nextNode())) {
+      const length = node.textContent.trim().length;
+      const element = node.parentElement;
+      if (length === 0 || !element || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName)) continue;
+
+      if (!elementSizes.has(element)) {
+        const visible = element.getClientRects().length > 0;
+        const fontSize = parseFloat(window.getComputedStyle(element).fontSize);
+        elementSizes.set(element, visible && fontSize > 0 ? Math.round(fontSize * 2) / 2 : null);
+      }
+
+      const size = elementSizes.get(element);
+      if (size !== null) {
+        sizes.set(size, (sizes.get(size) || 0) + length);
+      }
+    }
+
+    return sizes;
+  },
+
+  /**
+   * Legjobban illeszkedő arány: a legkisebb súlyozott logaritmikus eltérés a legközelebbi skála lépéstől
+   * Közel azonos illeszkedésnél a nagyobb arány nyer (az 1.118 minden 1.25-ös skálára illene)
+   */
+  fitScaleRatio(entries, base) {
+    const scored = this.SCALE_RATIOS.map(ratio => {
+      const logRatio = Math.log(ratio.value);
+      let error = 0;
+      let weight = 0;
+
+      entries.forEach(entry => {
+        const steps = Math.log(entry.size / base) / logRatio;
+        const w = Math.sqrt(entry.chars);
+        error += Math.abs(steps - Math.round(steps)) * logRatio * w;
+        weight += w;
+      });
+
+      return { ...ratio, error: error / weight };
+    });
+
+    const bestError = Math.min(...scored.map(ratio => ratio.error));
+    const best = scored
+      .filter(ratio => ratio.error <= bestError + 0.005)
+      .reduce((a, b) => (b.value > a.value ? b : a));
+
+    return { value: best.value, name: best.name };
+  },
+
+  /**
+   * Szöveg stílusok: a szöveget tartalmazó elemek csoportosítása a teljes tipográfiai kombináció szerint,
+   * lefedettség (karakterszám) szerint rangsorolva és automatikusan elnevezve
+   * @param {Array} groups - collectTextStyles() eredménye
+   * @param {number} base - Alap (body) betűméret pixelben
+   * @returns {Array} Szöveg stílusok
+   */
+  analyzeTextStyles(groups, base) {
+    const totalChars = groups.reduce((sum, group) => sum + group.chars, 0);
+    if (totalChars === 0) return [];
+
+    const usedLabels = new Map();
+    const renderedFonts = new Map();
+    const fontSizeRules = this.collectFontSizeRules();
+
+    return groups
+      .sort((a, b) => b.chars - a.chars)
+      .slice(0, this.TEXT_STYLE_LIMIT)
+      .sort((a, b) => parseFloat(b.style.fontSize) - parseFloat(a.style.fontSize) || b.chars - a.chars)
+      .map(group => {
+        const label = this.getTextStyleLabel(group.style, base);
+        const index = (usedLabels.get(label) || 0) + 1;
+        usedLabels.set(label, index);
+
+        return {
+          name: index > 1 ? `${label} ${index}` : label,
+          ...group.style,
+          coverage: Math.round((group.chars / totalChars) * 1000) / 10,
+          count: group.elements.length,
+          sample: this.getSampleText(group.elements[0], 40),
+          renderedFont: this.getRenderedFont(group.elements[0], renderedFonts),
+          responsive: this.getResponsiveFontSize(group.elements[0], fontSizeRules),
+          features: Object.fromEntries(Array.from(group.features.entries()).map(([prop, values]) => [prop, Array.from(values)])),
+          selectors: Array.from(new Set(group.elements.map(element => window.StyleSheetReader.getElementSelector(element)))).slice(0, 5)
+        };
+      });
+  },
+
+  /**
+   * Közvetlen szöveget tartalmazó, látható elemek csoportosítása stílus kombináció szerint
+   * A nem alapértelmezett OpenType/variable font beállítások csoportonként gyűlnek
+   * @returns {Array} { style, chars, elements, features }
+   */
+  collectTextStyles() {
+    const groups = new Map();
+    const skipTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg'];
+
+    document.querySelectorAll('body *').forEach(element => {
+      if (skipTags.includes(element.tagName) || !this.hasDirectTextContent(element)) return;
+      if (element.getClientRects().length === 0) return;
+
+      const chars = Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .reduce((sum, node) => sum + node.textContent.trim().length, 0);
+
+      const styles = window.getComputedStyle(element);
+      const style = this.getTextStyle(styles);
+
+      const key = Object.values(style).join('|');
+      if (!groups.has(key)) {
+        groups.set(key, { style, chars: 0, elements: [], features: new Map() });
+      }
+      const group = groups.get(key);
+      group.chars += chars;
+      group.elements.push(element);
+
+      Object.entries(this.FONT_FEATURE_PROPERTIES).forEach(([prop, defaultValue]) => {
+        const value = styles.getPropertyValue(prop);
+        if (!value || value === defaultValue) return;
+        if (!group.features.has(prop)) {
+          group.features.set(prop, new Set());
+        }
+        group.features.get(prop).add(value);
+      });
+    });
+
+    return Array.from(groups.values());
+  },
+
+  /**
+   * font-size deklarációk a stylesheet-ekből (feltételesek is), var() feloldással
+   * @returns {Array} { selector, value, condition }
+   */
+  collectFontSizeRules() {
+    const scopes = window.TokenAnalyzer.collectCustomProperties();
+    const rules = [];
+
+    for (const { rule, selector, conditions } of window.StyleSheetReader.getStyleRules()) {
+      const raw = rule.style.getPropertyValue('font-size');
+      if (!raw || !selector) continue;
+
+      // Csak a szélesség és container feltétel breakpoint; a többi (print, prefers-*, @supports) most teljesüljön
+      const widthConditions = conditions.filter(condition => this.isWidthCondition(condition));
+      const otherConditions = conditions.filter(condition => !widthConditions.includes(condition));
+      if (!window.StyleSheetReader.isActive({ conditions: otherConditions })) continue;
+
+      const value = raw.includes('var(') ? window.TokenAnalyzer.resolveValue(raw, ':root', scopes) : raw;
+
+      rules.push({
+        selector,
+        value: value.trim(),
+        condition: widthConditions.length
+          ? widthConditions.map(condition => `@${condition.type} ${condition.text}`).join(' and ')
+          : null
+      });
+    }
+
+    return rules;
+  },
+
+  /**
+   * Breakpoint jellegű feltétel: container query, vagy szélesség alapú media query
+   */
+  isWidthCondition(condition) {
+    if (condition.type === 'container') return true;
+    return condition.type === 'media' && /\b(width|inline-size)\b/i.test(condition.text);
+  },
+
+  /**
+   * Reszponzív font-size egy elemre: a feltétel nélküli alap érték, fluid képlet (clamp(), vw/cqi)
+   * és a media/container query felülírások (stylesheet sorrend, specificitás nélkül)
+   * Ha az elemre nincs font-size szabály (vagy inherit), az értéket beállító ős számít
+   * @returns {Object|null} { base, fluid, breakpoints, inheritedFrom }
+   */
+  getResponsiveFontSize(element, fontSizeRules) {
+    let source = element;
+    let declared = this.getDeclaredFontSizes(source, fontSizeRules);
+
+    while (!declared && source.parentElement) {
+      source = source.parentElement;
+      declared = this.getDeclaredFontSizes(source, fontSizeRules);
+    }
+    if (!declared) return null;
+
+    const { base, breakpoints } = declared;
+    const fluidSource = [base, ...breakpoints.values()].find(value => value && this.isFluidSize(value));
+    if (!fluidSource && breakpoints.size === 0) return null;
+
+    return {
+      base,
+      fluid: fluidSource ? this.parseFluidSize(fluidSource) : null,
+      breakpoints: Array.from(breakpoints.entries()).map(([query, value]) => ({ query, value })),
+      inheritedFrom: source === element ? null : window.StyleSheetReader.getElementSelector(source)
+    };
+  },
+
+  /**
+   * Az elemre illeszkedő font-size szabályok; null, ha nincs saját (nem inherit) érték
+   * @returns {Object|null} { base, breakpoints }
+   */
+  getDeclaredFontSizes(element, fontSizeRules) {
+    let base = null;
+    let found = false;
+    const breakpoints = new Map();
+
+    fontSizeRules.forEach(({ selector, value, condition }) => {
+      if (/^(inherit|unset)$/i.test(value)) return;
+
+      let matches = false;
+      try {
+        matches = element.matches(selector);
+      } catch (e) {
+        // Pszeudo-elemes vagy érvénytelen selector
+      }
+      if (!matches) return;
+
+      found = true;
+      if (condition) {
+        breakpoints.set(condition, value);
+      } else {
+        base = value;
+      }
+    });
+
+    return found ? { base, breakpoints } : null;
+  },
+
+  /**
+   * Viewport vagy container relatív (fluid) méret-e
+   */
+  isFluidSize(value) {
+    return /\b(clamp|min|max)\(/i.test(value) ||
+      /\d(vw|vh|vi|vb|vmin|vmax|svw|lvw|dvw|cqi|cqw|cqb|cqh|cqmin|cqmax)\b/i.test(value);
+  },
+
+  /**
+   * Fluid képlet felbontása: clamp(min, preferred, max), min()/max() és sima vw/cqi érték
+   * @returns {Object} { formula, min, preferred, max, unit: viewport|container }
+   */
+  parseFluidSize(value) {
+    const unit = /\dcq(i|w|b|h|min|max)\b/i.test(value) ? 'container' : 'viewport';
+    const result = { formula: value, min: null, preferred: value, max: null, unit };
+
+    const clamp = value.match(/^clamp\((.*)\)$/i);
+    if (clamp) {
+      const args = this.splitArguments(clamp[1]);
+      if (args.length === 3) {
+        [result.min, result.preferred, result.max] = args;
+      }
+      return result;
+    }
+
+    const minMax = value.match(/^(min|max)\((.*)\)$/i);
+    if (minMax) {
+      const args = this.splitArguments(minMax[2]);
+      const fluid = args.find(arg => this.isFluidSize(arg)) || args[0];
+      const fixed = args.filter(arg => arg !== fluid);
+      result.preferred = fluid;
+      // min(): a fix érték a felső korlát, max(): az alsó
+      if (minMax[1].toLowerCase() === 'min') {
+        result.max = fixed.join(', ') || null;
+      } else {
+        result.min = fixed.join(', ') || null;
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Függvény argumentumok darabolása a legfelső szintű vesszők mentén
+   */
+  splitArguments(value) {
+    const args = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      if (char === ',' && depth === 0) {
+        args.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) args.push(current.trim());
+    return args;
+  },
+
+  /**
+   * Variable fontok és az oldalon használt tengely értékek
+   * Variable: a @font-face weight/stretch tartomány (pl. "100 900"), vagy font-variation-settings használat
+   * Tengelyek: a font-variation-settings explicit tag-jei, valamint a font-weight (wght) és font-stretch (wdth)
+   * értékek a tartományos face-szel rendelkező családoknál
+   * @returns {Array} { family, ranges: { wght, wdth }, axes: [{ tag, min, max, values }] }
+   */
+  analyzeVariableFonts(groups) {
+    const ranges = new Map();
+
+    if (document.fonts) {
+      document.fonts.forEach(face => {
+        const family = face.family.replace(/["']/g, '').trim();
+        const weightRange = /\s/.test(face.weight.trim()) ? face.weight.trim() : null;
+        const stretchRange = /\s/.test((face.stretch || '').trim()) ? face.stretch.trim() : null;
+        if (!weightRange && !stretchRange) return;
+
+        const entry = ranges.get(family.toLowerCase()) || { family, wght: null, wdth: null };
+        entry.wght = entry.wght || weightRange;
+        entry.wdth = entry.wdth || stretchRange;
+        ranges.set(family.toLowerCase(), entry);
+      });
+    }
+
+    const families = new Map();
+    const addValue = (family, tag, value) => {
+      if (isNaN(value)) return;
+      const key = family.toLowerCase();
+      if (!families.has(key)) {
+        families.set(key, { family, axes: new Map() });
+      }
+      const axes = families.get(key).axes;
+      if (!axes.has(tag)) {
+        axes.set(tag, new Set());
+      }
+      axes.get(tag).add(value);
+    };
+
+    groups.forEach(group => {
+      group.elements.forEach(element => {
+        const styles = window.getComputedStyle(element);
+        const family = styles.fontFamily.split(',')[0].trim().replace(/["']/g, '');
+        const range = ranges.get(family.toLowerCase());
+
+        const settings = styles.getPropertyValue('font-variation-settings');
+        if (settings && settings !== 'normal') {
+          const pattern = /["'](\w{4})["']\s+(-?[\d.]+)/g;
+          let match;
+          while ((match = pattern.exec(settings)) !== null) {
+            addValue(family, match[1], parseFloat(match[2]));
+          }
+        }
+
+        if (range && range.wght) addValue(family, 'wght', parseFloat(styles.fontWeight));
+        if (range && range.wdth) addValue(family, 'wdth', parseFloat(styles.fontStretch));
+      });
+    });
+
+    return Array.from(families.values()).map(({ family, axes }) => {
+      const range = ranges.get(family.toLowerCase());
+      return {
+        family,
+        ranges: range ? { wght: range.wght, wdth: range.wdth } : {},
+        axes: Array.from(axes.entries()).map(([tag, values]) => {
+          const sorted = Array.from(values).sort((a, b) => a - b);
+          return { tag, min: sorted[0], max: sorted[sorted.length - 1], values: sorted.slice(0, 12) };
+        })
+      };
+    });
+  },
+
+  /**
+   * A ténylegesen megjelenő font a deklarált stackből (cache-elve stack, vastagság és stílus szerint)
+   * Web fontnál a document.fonts betöltési állapota és document.fonts.check dönt,
+   * @font-face nélküli családnál a telepített font mérése
+   * @returns {Object} { declared, rendered, source: webfont|local|generic|default, fallback, failed }
+   */
+  getRenderedFont(element, cache) {
+    const styles = window.getComputedStyle(element);
+    const key = `${styles.fontFamily}|${styles.fontWeight}|${styles.fontStyle}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const families = styles.fontFamily.split(',').map(font => font.trim().replace(/["']/g, '')).filter(Boolean);
+    const failed = [];
+    let rendered = null;
+
+    for (const family of families) {
+      const lower = family.toLowerCase();
+
+      if (this.GENERIC_FAMILIES.includes(lower)) {
+        rendered = { family, source: 'generic' };
+        break;
+      }
+
+      const faces = document.fonts
+        ? Array.from(document.fonts).filter(face => face.family.replace(/["']/g, '').trim().toLowerCase() === lower)
+        : [];
+
+      if (faces.length > 0) {
+        const font = `${styles.fontStyle} ${styles.fontWeight} ${styles.fontSize} "${family}"`;
+        if (faces.some(face => face.status === 'loaded') && document.fonts.check(font)) {
+          rendered = { family, source: 'webfont' };
+          break;
+        }
+        failed.push({ family, status: Array.from(new Set(faces.map(face => face.status))).join('/') });
+        continue;
+      }
+
+      if (this.isFontInstalled(family)) {
+        rendered = { family, source: 'local' };
+        break;
+      }
+    }
+
+    if (!rendered) {
+      rendered = { family: 'böngésző alapértelmezett', source: 'default' };
+    }
+
+    const result = {
+      declared: families[0] || null,
+      rendered: rendered.family,
+      source: rendered.source,
+      fallback: !families[0] || rendered.family.toLowerCase() !== families[0].toLowerCase(),
+      failed
+    };
+
+    cache.set(key, result);
+    return result;
+  },
+
+  /**
+   * Telepített (nem web) font ellenőrzése: a szöveg szélessége eltér-e a generikus fallbackoktól
+   */
+  isFontInstalled(family) {
+    const context = document.createElement('canvas').getContext('2d');
+    if (!context) return false;
+
+    const text = 'mmmmmmmmmmlliWw@#0';
+    return ['monospace', 'serif', 'sans-serif'].some(generic => {
+      context.font = `72px ${generic}`;
+      const baseline = context.measureText(text).width;
+      context.font = `72px "${family}", ${generic}`;
+      return context.measureText(text).width !== baseline;
+    });
+  },
+
+  /**
+   * Teljes tipográfiai kombináció a computed style-ból (szöveg stílus kulcs)
+   */
+  getTextStyle(styles) {
+    return {
+      fontFamily: styles.fontFamily.replace(/["']/g, '').split(',').map(font => font.trim()).join(', '),
+      fontSize: styles.fontSize,
+      fontWeight: styles.fontWeight,
+      lineHeight: this.normalizeLineHeight(styles.lineHeight, styles.fontSize),
+      letterSpacing: styles.letterSpacing,
+      textTransform: styles.textTransform,
+      color: this.toHex(styles.color)
+    };
+  },
+
+  /**
+   * Konzisztencia audit: minden heading példány összevetése szintenként, kihagyott heading szintek,
+   * és egyszer használt, skálán kívüli méretű szöveg stílusok
+   * Minden találat egyedi selectort kap, amivel az elem kiemelhető az oldalon
+   * @returns {Array} { type, severity, message, level?, variants?, selectors }
+   */
+  analyzeConsistency(groups, scale) {
+    const findings = [];
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .filter(element => element.getClientRects().length > 0);
+
+    // 1. Szintenként eltérő heading stílusok
+    ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
+      const variants = new Map();
+
+      headings.filter(element => element.tagName.toLowerCase() === tag).forEach(element => {
+        const style = this.getTextStyle(window.getComputedStyle(element));
+        const key = Object.values(style).join('|');
+        if (!variants.has(key)) {
+          variants.set(key, { style, count: 0, selectors: [] });
+        }
+        const variant = variants.get(key);
+        variant.count++;
+        if (variant.selectors.length < 5) {
+          variant.selectors.push(this.getUniqueSelector(element));
+        }
+      });
+
+      if (variants.size > 1) {
+        const sorted = Array.from(variants.values()).sort((a, b) => b.count - a.count);
+        findings.push({
+          type: 'inconsistent-heading',
+          severity: 'warning',
+          level: tag,
+          message: `${tag} ${variants.size} különböző stílusban jelenik meg`,
+          variants: sorted,
+          // A leggyakoribb stílustól eltérő példányok kiemelendők
+          selectors: sorted.slice(1).flatMap(variant => variant.selectors).slice(0, 5)
+        });
+      }
+    });
+
+    // 2. Kihagyott heading szintek (dokumentum sorrendben, pl. h2 után h4)
+    let previousLevel = 0;
+    headings.forEach(element => {
+      const level = parseInt(element.tagName.slice(1));
+      if (level > previousLevel + 1) {
+        findings.push({
+          type: 'skipped-level',
+          severity: 'warning',
+          message: previousLevel
+            ? `Kihagyott heading szint: h${previousLevel} után h${level}`
+            : `Az első heading h${level} (h1 helyett)`,
+          selectors: [this.getUniqueSelector(element)]
+        });
+      }
+      previousLevel = level;
+    });
+
+    // 3. Egyszer használt, skálán kívüli méretű szöveg stílusok
+    if (scale) {
+      const offScaleSizes = new Set(scale.sizes.filter(item => !item.onScale).map(item => item.size));
+
+      groups
+        .filter(group => group.elements.length === 1)
+        .forEach(group => {
+          const size = Math.round(parseFloat(group.style.fontSize) * 2) / 2;
+          if (!offScaleSizes.has(size)) return;
+
+          findings.push({
+            type: 'one-off',
+            severity: 'info',
+            message: `Egyszeri, skálán kívüli szöveg stílus: ${group.style.fontSize}, ${group.style.fontWeight}`,
+            selectors: [this.getUniqueSelector(group.elements[0])]
+          });
+        });
+    }
+
+    return findings;
+  },
+
+  /**
+   * Egyedi CSS selector az elem kiemeléséhez (id, vagy tag:nth-of-type lánc a body-ig)
+   */
+  getUniqueSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current !== document.body && current !== document.documentElement) {
+      if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        return parts.join(' > ');
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    parts.unshift('body');
+    return parts.join(' > ');
+  },
+
+  /**
+   * Automatikus név a méret (az alap mérethez képest), vastagság és kisbetű/nagybetű alapján
+   */
+  getTextStyleLabel(style, base) {
+    const ratio = parseFloat(style.fontSize) / base;
+    const bold = parseInt(style.fontWeight) >= 600;
+
+    if (style.textTransform === 'uppercase' && ratio <= 1) return 'Overline';
+    if (ratio >= 2.5) return 'Display';
+    if (ratio >= 1.75) return 'Heading L';
+    if (ratio >= 1.35) return 'Heading M';
+    if (ratio > 1.1) return bold ? 'Heading S' : 'Body L';
+    if (ratio >= 0.9) return bold ? 'Body Strong' : 'Body';
+    return bold ? 'Label' : 'Caption';
+  },
+
   /**
    * Clean font family string (extract primary font)
    */
@@ -186,27 +863,10 @@ const TypographyAnalyzer = {
   },
 
   /**
-   * Convert color to HEX
+   * Convert color to HEX (ColorModel); nem értelmezhető érték változatlan marad
    */
   toHex(color) {
-    if (color.startsWith('rgb')) {
-      const match = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-      if (match) {
-        const r = parseInt(match[1]);
-        const g = parseInt(match[2]);
-        const b = parseInt(match[3]);
-        return '#' + [r, g, b].map(x => {
-          const hex = x.toString(16);
-          return hex.length === 1 ? '0' + hex : hex;
-        }).join('').toUpperCase();
-      }
-    }
-
-    if (color.startsWith('#')) {
-      return color.toUpperCase();
-    }
-
-    return color;
+    return window.ColorModel.toHex(color) || color;
   }
 };
 
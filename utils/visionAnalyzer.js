@@ -0,0 +1,167 @@
+/**
+ * Vision Analyzer - Színtévesztés szimuláció modul
+ * A paletta színeit protanópia, deuteranópia, tritanópia (Machado et al. 2009, teljes súlyosság)
+ * és akromatópszia szerint szimulálja, és jelzi azokat a szerepkör párokat
+ * (Primary, Accent, Background, Foreground), amelyek a szimulációban megkülönböztethetetlenné válnak
+ */
+
+const VisionAnalyzer = {
+  /**
+   * Szimulációk; a mátrixok lineáris RGB-n működnek
+   */
+  SIMULATIONS: [
+    {
+      type: 'protanopia',
+      label: 'Protanópia (vörös vakság)',
+      matrix: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+      ]
+    },
+    {
+      type: 'deuteranopia',
+      label: 'Deuteranópia (zöld vakság)',
+      matrix: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+      ]
+    },
+    {
+      type: 'tritanopia',
+      label: 'Tritanópia (kék vakság)',
+      matrix: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+      ]
+    },
+    {
+      type: 'achromatopsia',
+      label: 'Akromatópszia (teljes színvakság)',
+      matrix: [
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722]
+      ]
+    }
+  ],
+
+  /**
+   * Vizsgált szerepkörök
+   */
+  ROLES: ['Primary', 'Accent', 'Background', 'Foreground'],
+
+  /**
+   * Szerepkörönként vizsgált színek száma (a legnagyobb súlyúak)
+   */
+  COLORS_PER_ROLE: 3,
+
+  /**
+   * Ennyi ΔE alatt (OKLab × 100) két szín összemosódik
+   */
+  COLLAPSE_THRESHOLD: 8,
+
+  /**
+   * Fő elemző függvény
+   * @param {Array} palette - ColorAnalyzer.analyze() eredménye
+   * @returns {Object} { simulations: [{ type, label, palette }], collisions: [...] }
+   */
+  analyze(palette) {
+    if (!palette || palette.length === 0) {
+      return { simulations: [], collisions: [] };
+    }
+
+    const simulations = this.SIMULATIONS.map(({ type, label, matrix }) => ({
+      type,
+      label,
+      palette: palette.map(color => ({
+        hex: color.hex,
+        category: color.category,
+        simulated: this.simulate(color.hex, matrix)
+      }))
+    }));
+
+    return {
+      simulations,
+      collisions: this.findCollisions(simulations)
+    };
+  },
+
+  /**
+   * Eltérő szerepkörű párok, amelyek eredetileg megkülönböztethetők, a szimulációban viszont nem
+   * @returns {Array} { first, second, distance, simulations: [{ type, label, distance }] }
+   */
+  findCollisions(simulations) {
+    const colors = this.ROLES.flatMap(role =>
+      simulations[0].palette
+        .map((color, index) => ({ ...color, index }))
+        .filter(color => color.category === role)
+        .slice(0, this.COLORS_PER_ROLE)
+    );
+
+    const collisions = [];
+
+    colors.forEach((first, i) => {
+      colors.slice(i + 1).forEach(second => {
+        if (first.category === second.category) return;
+
+        const distance = window.ColorAnalyzer.getColorDistance(first.hex, second.hex);
+        if (distance < this.COLLAPSE_THRESHOLD) return;
+
+        const collapsed = simulations
+          .map(simulation => ({
+            type: simulation.type,
+            label: simulation.label,
+            distance: this.round(window.ColorAnalyzer.getColorDistance(
+              simulation.palette[first.index].simulated,
+              simulation.palette[second.index].simulated
+            ))
+          }))
+          .filter(simulation => simulation.distance < this.COLLAPSE_THRESHOLD);
+
+        if (collapsed.length === 0) return;
+
+        collisions.push({
+          first: { hex: first.hex, category: first.category },
+          second: { hex: second.hex, category: second.category },
+          distance: this.round(distance),
+          simulations: collapsed
+        });
+      });
+    });
+
+    return collisions.sort((a, b) =>
+      Math.min(...a.simulations.map(s => s.distance)) - Math.min(...b.simulations.map(s => s.distance))
+    );
+  },
+
+  /**
+   * Egy szín szimulált HEX értéke (az alfa megmarad)
+   */
+  simulate(hex, matrix) {
+    const color = window.ColorModel.parse(hex);
+    if (!color) return hex;
+
+    const linear = [color.r, color.g, color.b].map(channel => window.ColorModel.toLinear(channel / 255));
+    const simulated = window.ColorModel.multiply(matrix, linear)
+      .map(channel => window.ColorModel.toGamma(window.ColorModel.clamp(channel, 0, 1)) * 255);
+
+    return window.ColorModel.toHex({
+      r: simulated[0],
+      g: simulated[1],
+      b: simulated[2],
+      alpha: color.alpha
+    });
+  },
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+};
+
+// Export for content script
+if (typeof window !== 'undefined') {
+  window.VisionAnalyzer = VisionAnalyzer;
+}